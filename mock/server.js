@@ -0,0 +1,250 @@
+import http from 'http';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { isMainModule } from '../src/utils.js';
+
+const SIGN_IN_MESSAGE = 'Sign-in';
+const FINISHED_MESSAGE = 'You have finished this task yet!';
+
+const DEFAULT_TASKS = {
+  userVisit: [
+    { task_code: 'UV_DAILY_CHECKIN_000001', title: 'Daily Check-in', reward_point: 10 },
+    { task_code: 'UV_VISIT_WEBSITE_000002', title: 'Visit Openverse Website', reward_point: 5 }
+  ],
+  advanceVisit: [
+    { task_code: 'AV_FOLLOW_X_000003', title: 'Follow Openverse on X', reward_point: 20 }
+  ]
+};
+
+function randomToken(bytes = 20) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(
+    header.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+      const index = part.indexOf('=');
+      return [part.slice(0, index), decodeURIComponent(part.slice(index + 1))];
+    })
+  );
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Local stand-in for launch.openverse.network. Implements the endpoints the bot
+ * uses with Laravel-style session/XSRF cookies and real signature checks.
+ *
+ * Failures can be scripted per path with `fail(path, kind, times)`, where kind is
+ * one of 'expired', 'rate_limit', 'server_error', 'already_done', 'rejected' (a
+ * `res_code` 1 answer) or 'malformed'.
+ */
+export function createMockServer({ tasks = DEFAULT_TASKS, startingPoints = 0 } = {}) {
+  const sessions = new Map();
+  const tokens = new Map();
+  const users = new Map();
+  const failures = new Map();
+  const requests = [];
+
+  const getUser = address => {
+    const key = address.toLowerCase();
+    if (!users.has(key)) {
+      users.set(key, { address, point: startingPoints, done: new Set() });
+    }
+    return users.get(key);
+  };
+
+  const findTask = code => {
+    for (const [category, list] of Object.entries(tasks)) {
+      const task = list.find(t => t.task_code === code);
+      if (task) return { category, task };
+    }
+    return null;
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(payload);
+  };
+
+  const issueCookies = (res, sessionId) => {
+    const xsrfToken = randomToken();
+    sessions.get(sessionId).xsrfToken = xsrfToken;
+    res.setHeader('set-cookie', [
+      `XSRF-TOKEN=${encodeURIComponent(xsrfToken)}; Max-Age=7200; Path=/; SameSite=Lax`,
+      `openverse_session=${sessionId}; Max-Age=7200; Path=/; HttpOnly; SameSite=Lax`
+    ]);
+  };
+
+  const checkCsrf = (req, res) => {
+    const sessionId = parseCookies(req.headers.cookie).openverse_session;
+    const session = sessions.get(sessionId);
+    if (!session || req.headers['x-xsrf-token'] !== session.xsrfToken) {
+      send(res, 419, { message: 'CSRF token mismatch.' });
+      return null;
+    }
+    return sessionId;
+  };
+
+  const checkAuth = (req, res) => {
+    const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+    const address = match && tokens.get(match[1]);
+    if (!address) {
+      send(res, 401, { message: 'Unauthenticated.' });
+      return null;
+    }
+    return getUser(address);
+  };
+
+  const takeFailure = pathname => {
+    const queue = failures.get(pathname);
+    if (!queue || queue.length === 0) return null;
+    const failure = queue[0];
+    if (--failure.times <= 0) queue.shift();
+    return failure.kind;
+  };
+
+  const applyFailure = (kind, res) => {
+    switch (kind) {
+      case 'expired':
+        tokens.clear();
+        return send(res, 401, { message: 'Unauthenticated.' });
+      case 'rate_limit':
+        return send(res, 429, { message: 'Too Many Attempts.' }, { 'retry-after': '0' });
+      case 'server_error':
+        return send(res, 500, { message: 'Server Error' });
+      case 'already_done':
+        return send(res, 200, { res_code: 1, res_msg: FINISHED_MESSAGE, data: null });
+      case 'rejected':
+        return send(res, 200, { res_code: 1, res_msg: 'Request rejected', data: null });
+      case 'malformed':
+        return send(res, 200, '{"res_code":0,"data":');
+      default:
+        throw new Error(`Unknown failure kind: ${kind}`);
+    }
+  };
+
+  const listTasks = (user, category) => {
+    const data = {};
+    for (const task of tasks[category] || []) {
+      data[task.task_code] = { ...task, status: user.done.has(task.task_code) ? 2 : 1 };
+    }
+    return { res_code: 0, res_msg: 'success', data };
+  };
+
+  const completeTask = async (req, res, user, category) => {
+    const { task_code: code } = JSON.parse(await readBody(req) || '{}');
+    const found = findTask(code);
+    if (!found || found.category !== category) {
+      return send(res, 200, { res_code: 1, res_msg: 'Task not found', data: null });
+    }
+    if (user.done.has(code)) {
+      return send(res, 200, { res_code: 1, res_msg: FINISHED_MESSAGE, data: null });
+    }
+    user.done.add(code);
+    user.point += found.task.reward_point;
+    send(res, 200, { res_code: 0, res_msg: 'success', data: null });
+  };
+
+  const handle = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: pathname });
+
+    const failure = takeFailure(pathname);
+    if (failure) return applyFailure(failure, res);
+
+    if (req.method === 'GET' && pathname === '/sanctum/csrf-cookie') {
+      const sessionId = parseCookies(req.headers.cookie).openverse_session;
+      const id = sessions.has(sessionId) ? sessionId : randomToken();
+      if (!sessions.has(id)) sessions.set(id, {});
+      issueCookies(res, id);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    if (req.method === 'POST' && pathname === '/api/bindLogin') {
+      const sessionId = checkCsrf(req, res);
+      if (!sessionId) return;
+      const { address, sign } = JSON.parse(await readBody(req) || '{}');
+      let signer = null;
+      try {
+        signer = ethers.verifyMessage(SIGN_IN_MESSAGE, sign);
+      } catch {}
+      if (!address || !signer || signer.toLowerCase() !== address.toLowerCase()) {
+        return send(res, 200, { res_code: 1, res_msg: 'Signature verification failed', data: null });
+      }
+      getUser(address);
+      const accessToken = randomToken(32);
+      tokens.set(accessToken, address);
+      issueCookies(res, sessionId);
+      return send(res, 200, { res_code: 0, res_msg: 'success', data: { access_token: accessToken } });
+    }
+
+    const taskRoute = pathname.match(/^\/api\/task\/(\w+)\/(all|done)$/);
+    if (taskRoute && tasks[taskRoute[1]]) {
+      const user = checkAuth(req, res);
+      if (!user) return;
+      if (taskRoute[2] === 'all' && req.method === 'GET') {
+        return send(res, 200, listTasks(user, taskRoute[1]));
+      }
+      if (taskRoute[2] === 'done' && req.method === 'POST') {
+        if (!checkCsrf(req, res)) return;
+        return completeTask(req, res, user, taskRoute[1]);
+      }
+    }
+
+    if (req.method === 'GET' && pathname === '/api/user') {
+      const user = checkAuth(req, res);
+      if (!user) return;
+      return send(res, 200, { address: user.address, point: user.point });
+    }
+
+    send(res, 404, { message: 'Not Found' });
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => send(res, 500, { message: error.message }));
+  });
+
+  return {
+    server,
+    requests,
+    url: null,
+    getUser,
+    fail(pathname, kind, times = 1) {
+      if (!failures.has(pathname)) failures.set(pathname, []);
+      failures.get(pathname).push({ kind, times });
+    },
+    expireTokens() {
+      tokens.clear();
+    },
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise(resolve => {
+        server.listen(port, host, () => {
+          this.url = `http://${host}:${server.address().port}`;
+          resolve(this.url);
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+if (isMainModule(import.meta.url)) {
+  const mock = createMockServer();
+  const port = Number(process.argv[2] || process.env.PORT || 8080);
+  mock.listen(port).then(url => {
+    console.log(`Mock Openverse server listening on ${url}`);
+    console.log(`Run the bot against it with: node index.js --base-url ${url}`);
+  });
+}
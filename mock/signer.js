@@ -0,0 +1,85 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import { isMainModule } from '../src/utils.js';
+
+const DEV_MNEMONIC = 'test test test test test test test test test test test junk';
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Local stand-in for a remote signer: a JSON-RPC endpoint with `eth_accounts`
+ * and `personal_sign` for the given wallets (by default the first `count`
+ * accounts of the well-known development mnemonic). `lock()` makes it refuse to
+ * sign, like a wallet waiting to be unlocked.
+ */
+export function createMockSigner({ wallets = null, count = 2 } = {}) {
+  const keys = wallets ?? Array.from({ length: count }, (_, i) => ethers.HDNodeWallet.fromPhrase(DEV_MNEMONIC, '', `m/44'/60'/0'/0/${i}`));
+  const byAddress = new Map(keys.map(wallet => [wallet.address.toLowerCase(), wallet]));
+  const requests = [];
+  let locked = false;
+
+  const call = async (method, params) => {
+    if (method === 'eth_accounts') {
+      return keys.map(wallet => wallet.address);
+    }
+    if (method === 'personal_sign') {
+      const [data, address] = params;
+      const wallet = byAddress.get(String(address).toLowerCase());
+      if (!wallet) throw { code: -32000, message: `Unknown account ${address}` };
+      if (locked) throw { code: -32000, message: 'Signer is locked' };
+      return wallet.signMessage(ethers.getBytes(data));
+    }
+    throw { code: -32601, message: `Method not found: ${method}` };
+  };
+
+  const server = http.createServer(async (req, res) => {
+    let id = null;
+    let body;
+    try {
+      const request = JSON.parse(await readBody(req));
+      id = request.id ?? null;
+      requests.push({ method: request.method, params: request.params });
+      body = { jsonrpc: '2.0', id, result: await call(request.method, request.params ?? []) };
+    } catch (error) {
+      body = { jsonrpc: '2.0', id, error: { code: error.code ?? -32700, message: error.message } };
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  return {
+    server,
+    requests,
+    url: null,
+    addresses: keys.map(wallet => wallet.address),
+    lock(value = true) {
+      locked = value;
+    },
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise(resolve => {
+        server.listen(port, host, () => {
+          this.url = `http://${host}:${server.address().port}`;
+          resolve(this.url);
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+if (isMainModule(import.meta.url)) {
+  const signer = createMockSigner({ count: Number(process.argv[3] || 2) });
+  const port = Number(process.argv[2] || process.env.PORT || 8550);
+  signer.listen(port).then(url => {
+    console.log(`Mock signer listening on ${url} for ${signer.addresses.join(', ')}`);
+  });
+}
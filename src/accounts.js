@@ -0,0 +1,165 @@
+import fs from 'fs/promises';
+import YAML from 'yaml';
+import { ethers } from 'ethers';
+import { compileTaskFilter, sortTasks } from './tasks.js';
+import { DEFAULT_HD_PATH, parseIndexRange } from './signers.js';
+
+const SOURCE_KEYS = ['key', 'keystore', 'mnemonic', 'remoteSigner'];
+const ACCOUNT_KEYS = [...SOURCE_KEYS, 'path', 'range', 'address', 'label', 'group', 'tags', 'enabled', 'proxy', 'taskFilter', 'taskOrder'];
+const CSV_COLUMNS = ACCOUNT_KEYS.filter(key => key !== 'taskFilter');
+const BOOLEANS = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+/** Splits CSV text into rows of cells; quoted cells may contain commas, quotes ("") and newlines. */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+function csvEntries(text, file) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim());
+  const unknown = columns.filter(name => !CSV_COLUMNS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`${file} has unknown columns: ${unknown.join(', ')} (expected ${CSV_COLUMNS.join(', ')})`);
+  }
+  return rows.map(cells => Object.fromEntries(
+    columns
+      .map((name, i) => [name, (cells[i] ?? '').trim()])
+      .filter(([, value]) => value !== '')
+      .map(([name, value]) => [name, name === 'tags' ? value.split(';').map(tag => tag.trim()).filter(Boolean) : value])
+  ));
+}
+
+function normalizeEntry(entry, where) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${where} must be an object with key or keystore`);
+  }
+  const unknown = Object.keys(entry).filter(key => !ACCOUNT_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${where} has unknown keys: ${unknown.join(', ')}`);
+  }
+  const sources = SOURCE_KEYS.filter(key => entry[key]);
+  if (sources.length !== 1) {
+    throw new Error(`${where} needs exactly one of key, keystore, mnemonic or remoteSigner`);
+  }
+  if (entry.key && typeof entry.key !== 'string') {
+    // YAML reads an unquoted 0x... key as a number
+    throw new Error(`${where}.key must be a string (quote it in YAML)`);
+  }
+  if ((entry.path !== undefined || entry.range !== undefined) && !entry.mnemonic) {
+    throw new Error(`${where}: path and range only apply to a mnemonic`);
+  }
+  if (entry.address !== undefined && !entry.remoteSigner) {
+    throw new Error(`${where}: address only applies to a remoteSigner`);
+  }
+  if (entry.mnemonic && (typeof entry.mnemonic !== 'string' || !ethers.Mnemonic.isValidMnemonic(entry.mnemonic.trim().replace(/\s+/g, ' ')))) {
+    throw new Error(`${where}.mnemonic is not a valid BIP-39 phrase`);
+  }
+  if (entry.path !== undefined && !/^m(\/\d+'?)*$/.test(String(entry.path))) {
+    throw new Error(`${where}.path must look like ${DEFAULT_HD_PATH}`);
+  }
+  if (entry.range !== undefined) {
+    parseIndexRange(entry.range, `${where}.range`);
+  }
+  if (entry.remoteSigner && !/^https?:\/\/./.test(String(entry.remoteSigner))) {
+    throw new Error(`${where}.remoteSigner must be an http(s) URL`);
+  }
+  if (entry.address !== undefined && !ethers.isAddress(String(entry.address))) {
+    throw new Error(`${where}.address is not a valid address`);
+  }
+  let enabled = entry.enabled ?? true;
+  if (typeof enabled !== 'boolean') {
+    enabled = BOOLEANS[String(enabled).trim().toLowerCase()];
+    if (enabled === undefined) {
+      throw new Error(`${where}.enabled must be true or false`);
+    }
+  }
+  const tags = entry.tags === undefined ? [] : [].concat(entry.tags).map(String);
+  if (entry.taskFilter !== undefined) {
+    compileTaskFilter(entry.taskFilter, `${where}.taskFilter`);
+  }
+  if (entry.taskOrder !== undefined) {
+    sortTasks([], entry.taskOrder);
+  }
+  return {
+    key: entry.key ? entry.key.trim() : null,
+    keystore: entry.keystore ? String(entry.keystore) : null,
+    mnemonic: entry.mnemonic ? entry.mnemonic.trim().replace(/\s+/g, ' ') : null,
+    path: entry.mnemonic ? String(entry.path ?? DEFAULT_HD_PATH) : null,
+    range: entry.mnemonic ? String(entry.range ?? '0') : null,
+    remoteSigner: entry.remoteSigner ? String(entry.remoteSigner) : null,
+    address: entry.address ? ethers.getAddress(String(entry.address)) : null,
+    label: entry.label ? String(entry.label) : null,
+    group: entry.group ? String(entry.group) : null,
+    tags,
+    enabled,
+    proxy: entry.proxy ? String(entry.proxy) : null,
+    taskFilter: entry.taskFilter,
+    taskOrder: entry.taskOrder
+  };
+}
+
+/**
+ * Parses an accounts file (.json, .yaml/.yml or .csv). JSON and YAML hold a list
+ * of entries, or an object with an `accounts` list; CSV has a header row and
+ * separates tags with semicolons. Each entry names one signer source: `key`,
+ * `keystore`, `mnemonic` (with `path` and `range`) or `remoteSigner` (with an
+ * optional `address`). Keystores are returned as paths and mnemonics and remote
+ * signers unexpanded; the caller turns them into accounts.
+ */
+export function parseAccounts(text, file) {
+  let entries;
+  if (/\.csv$/i.test(file)) {
+    entries = csvEntries(text, file);
+  } else {
+    const parsed = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    entries = Array.isArray(parsed) ? parsed : parsed?.accounts;
+    if (!Array.isArray(entries)) {
+      throw new Error(`${file} must contain a list of accounts`);
+    }
+  }
+  return entries.map((entry, i) => normalizeEntry(entry, `${file} account ${i + 1}`));
+}
+
+export async function readAccountsFile(file) {
+  return parseAccounts(await fs.readFile(file, 'utf-8'), file);
+}
+
+/** True when the account's group or one of its tags is in `groups` (null matches everything). */
+export function inGroups(account, groups) {
+  if (!groups) return true;
+  return groups.some(name => account.group === name || account.tags.includes(name));
+}
@@ -0,0 +1,43 @@
+import fs from 'fs/promises';
+import { writeJsonFile } from './utils.js';
+
+/**
+ * Progress of the cycle in flight: the accounts it was started with and the report
+ * of every account it has touched. A report without `finishedAt`, or one marked
+ * `interrupted`, belongs to an account that still has work left.
+ */
+export function createCheckpoint(startedAt, addresses) {
+  return { startedAt, accounts: addresses.map(address => address.toLowerCase()), reports: {} };
+}
+
+export function isAccountFinished(checkpoint, address) {
+  const report = checkpoint.reports[address.toLowerCase()];
+  return Boolean(report?.finishedAt) && !report.interrupted;
+}
+
+/** Accounts of the checkpointed cycle that are not finished yet. */
+export function pendingAccounts(checkpoint) {
+  return checkpoint.accounts.filter(address => !isAccountFinished(checkpoint, address));
+}
+
+export async function loadCheckpoint(file) {
+  try {
+    const checkpoint = JSON.parse(await fs.readFile(file, 'utf-8'));
+    if (!checkpoint || !Array.isArray(checkpoint.accounts) || typeof checkpoint.startedAt !== 'string') {
+      throw new Error('not a checkpoint file');
+    }
+    return { reports: {}, ...checkpoint };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+}
+
+/** Writes the checkpoint atomically; concurrent calls are serialized. */
+export function saveCheckpoint(file, checkpoint) {
+  return writeJsonFile(file, checkpoint);
+}
+
+export async function clearCheckpoint(file) {
+  await fs.rm(file, { force: true });
+}
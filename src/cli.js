@@ -0,0 +1,416 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Command } from 'commander';
+import { DEFAULT_CONFIG, loadConfig } from './config.js';
+import { logger, configureLogger } from './logger.js';
+import { printBanner, formatCheckTable, formatStatsTables } from './output.js';
+import { askQuestion } from './prompt.js';
+import { importKeys, readAccounts } from './keys.js';
+import { readProxies } from './proxies.js';
+import { createTaskRegistry, loadTaskPlugins } from './providers.js';
+import { compileTaskFilter } from './tasks.js';
+import { runCycle, processAccount, getRequestPolicy } from './runner.js';
+import { createSchedule, loadRunState } from './scheduler.js';
+import { checkKeys, checkProxy, checkLogin } from './validate.js';
+import { createNotifier } from './notify.js';
+import { createMetrics, startMetricsServer } from './metrics.js';
+import { readHistory, summarizeHistory } from './history.js';
+import { readRecording, recordedAccounts, createReplay } from './recording.js';
+import { saveSession } from './sessions.js';
+import { Dashboard } from './dashboard.js';
+import { delay } from './utils.js';
+
+async function setup(options) {
+  const { config, file, unknownKeys } = await loadConfig(options);
+  configureLogger(config);
+
+  printBanner();
+  if (file) {
+    logger.info(`Loaded config from ${file}`, { emoji: '⚙️ ' });
+  }
+  for (const key of unknownKeys) {
+    logger.warn(`Unknown config option: ${key}`, { emoji: '⚠️ ' });
+  }
+  return config;
+}
+
+async function loadRegistry(config) {
+  const registry = createTaskRegistry();
+  if (config.pluginDir) {
+    for (const { file, categories } of await loadTaskPlugins(config.pluginDir, registry)) {
+      logger.info(`Loaded task plugin ${file}: ${categories.join(', ') || 'no new categories'}`, { emoji: '🧩 ' });
+    }
+  }
+  compileTaskFilter(config.taskFilter, 'taskFilter', registry.categories());
+  return registry;
+}
+
+async function initializeConfig(options) {
+  const config = await setup(options);
+
+  let useProxy = config.proxy;
+  if (useProxy === undefined && process.stdin.isTTY) {
+    const useProxyAns = await askQuestion(chalk.cyanBright('🔌 Do You Want Use Proxy? (y/n): '));
+    useProxy = useProxyAns.trim().toLowerCase() === 'y';
+  }
+
+  let proxies = [];
+  if (useProxy) {
+    proxies = await readProxies(config.proxies);
+    if (proxies.length === 0) {
+      logger.warn('No proxies available, proceeding without proxy.', { emoji: '⚠️ ' });
+    }
+  } else {
+    logger.info('Proceeding without proxy.', { emoji: 'ℹ️ ' });
+  }
+
+  const registry = await loadRegistry(config);
+  const schedule = createSchedule(config);
+  const state = await loadRunState(config.stateFile);
+  logger.info(`Schedule: ${schedule.description}`, { emoji: '🗓️ ' });
+
+  const notifier = createNotifier(config.notifications);
+  if (notifier.enabled) {
+    logger.info(`Notifications enabled (${config.notifications.sinks.length} sink${config.notifications.sinks.length === 1 ? '' : 's'})`, { emoji: '📣 ' });
+  }
+  return { config, proxies, schedule, state, registry, notifier: notifier.enabled ? notifier : null };
+}
+
+function formatRunTime(time) {
+  const at = new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+  const minutes = Math.max(0, Math.round((time - Date.now()) / 60000));
+  const wait = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  return `${at} UTC (in ${wait})`;
+}
+
+async function waitUntil(time, signal) {
+  // Sleep in bounded steps so long waits survive timer limits and clock changes
+  while (Date.now() < time && !signal.aborted) {
+    await delay(Math.min(time - Date.now(), 3600 * 1000) / 1000, signal);
+  }
+}
+
+/**
+ * The first SIGINT/SIGTERM aborts the returned controller: the request in flight
+ * finishes and the cycle stops before the next task. A second signal exits at once.
+ */
+function handleShutdown() {
+  const controller = new AbortController();
+  const onSignal = signal => {
+    if (controller.signal.aborted) {
+      logger.warn(`Received ${signal} again, exiting now`, { emoji: '🛑 ' });
+      process.exit(130);
+    }
+    logger.warn(`Received ${signal}, stopping after the current request (send it again to force)`, { emoji: '🛑 ' });
+    controller.abort();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  const dispose = () => {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+  };
+  return { signal: controller.signal, dispose };
+}
+
+async function startMetrics(config) {
+  const metrics = createMetrics();
+  const server = await startMetricsServer(metrics, { port: config.metricsPort, host: config.metricsHost });
+  const { address, port } = server.address();
+  logger.info(`Metrics on http://${address}:${port}/metrics, health on /healthz`, { emoji: '📈 ' });
+  return { metrics, server };
+}
+
+async function startDashboard(config) {
+  if (!process.stdout.isTTY || !process.stdin.isTTY || config.logFormat !== 'pretty') {
+    logger.warn('The dashboard needs a terminal and logFormat pretty, using line output', { emoji: '⚠️ ' });
+    return null;
+  }
+  // Unlock the vault or keystores now, a passphrase prompt cannot be answered once the dashboard owns the terminal
+  await readAccounts(config);
+  const dashboard = new Dashboard();
+  const sinks = logger.sinks;
+  logger.sinks = [dashboard.sink(config.logLevel), ...sinks.filter(sink => !sink.pretty)];
+  dashboard.on('quit', () => process.kill(process.pid, 'SIGINT'));
+  dashboard.start();
+  return {
+    dashboard,
+    stop() {
+      dashboard.stop();
+      logger.sinks = sinks;
+    }
+  };
+}
+
+async function run(options) {
+  const ctx = await initializeConfig(options);
+  const { config } = ctx;
+  const shutdown = handleShutdown();
+  ctx.signal = shutdown.signal;
+  let server = null;
+  let dashboard = null;
+  if (config.metricsPort !== null && !config.once && !config.dryRun) {
+    ({ metrics: ctx.metrics, server } = await startMetrics(config));
+  }
+  if (config.dashboard) {
+    dashboard = await startDashboard(config);
+    ctx.dashboard = dashboard?.dashboard;
+  }
+  try {
+    await runLoop(ctx);
+  } finally {
+    dashboard?.stop();
+    shutdown.dispose();
+    server?.close();
+  }
+}
+
+async function runLoop(ctx) {
+  const { config, signal } = ctx;
+  while (true) {
+    if (config.dryRun) {
+      await runCycle(ctx);
+      logger.info(chalk.bold.yellowBright('Dry run completed, nothing was submitted.'), { emoji: '🧪 ' });
+      return;
+    }
+    const { nextRunAt } = await runCycle(ctx, { dueOnly: !config.once || config.overdueOnly });
+    if (signal.aborted) {
+      logger.info(chalk.bold.yellowBright('Stopped.'), { emoji: '🛑 ' });
+      return;
+    }
+    if (config.once) {
+      logger.info(chalk.bold.yellowBright('Cycle completed.'), { emoji: '🔄 ' });
+      if (nextRunAt) {
+        logger.info(`Next account due at ${formatRunTime(nextRunAt)}`, { emoji: '⏰ ' });
+      }
+      return;
+    }
+    const next = nextRunAt ?? Date.now() + config.interval * 1000;
+    ctx.metrics?.setNextRun(next);
+    ctx.dashboard?.setNextRun(next);
+    logger.info(chalk.bold.yellowBright(`Cycle completed. Next run at ${formatRunTime(next)}...`), { emoji: '🔄 ' });
+    // "Retry failed" on the dashboard starts the next cycle early; failed accounts are still due
+    const wake = new AbortController();
+    const onRetry = () => wake.abort();
+    ctx.dashboard?.once('retry', onRetry);
+    await waitUntil(next, AbortSignal.any([signal, wake.signal]));
+    ctx.dashboard?.off('retry', onRetry);
+    if (signal.aborted) {
+      logger.info(chalk.bold.yellowBright('Stopped.'), { emoji: '🛑 ' });
+      return;
+    }
+  }
+}
+
+async function validate(options) {
+  const config = await setup(options);
+  const policy = getRequestPolicy(config);
+  const rows = [];
+
+  const accounts = await readAccounts(config);
+  if (accounts.length === 0) {
+    // readAccounts logs why it loaded nothing (a wrong passphrase, an unreadable file); either way there is nothing to run
+    rows.push({ check: 'Accounts', target: config.accountsFile ?? '-', ok: false, detail: 'no accounts loaded' });
+  }
+  const keys = accounts.map(account => account.signer ?? account.privateKey ?? '');
+  const keyResults = checkKeys(keys);
+  for (const result of keyResults) {
+    const account = accounts[result.index - 1];
+    const source = account.signer?.remote ?? account.path;
+    const detail = [account.label, source].filter(Boolean).join(', ') || null;
+    rows.push({ check: `Key ${result.index}`, target: result.address || '-', ok: result.ok, detail: account.error ?? result.error ?? detail });
+  }
+
+  const proxies = await readProxies(config.proxies);
+  const target = config.ipCheckUrl || config.baseUrl;
+  for (const [i, proxy] of proxies.entries()) {
+    const result = await checkProxy(proxy, { url: target, policy });
+    rows.push({ check: `Proxy ${i + 1}`, target: result.proxy, ok: result.ok, detail: result.ok ? `${result.latency} ms` : result.error });
+  }
+
+  if (options.login) {
+    const loginProxies = config.proxy ? proxies : [];
+    for (const result of keyResults.filter(key => key.ok)) {
+      const proxy = accounts[result.index - 1].proxy ?? (loginProxies.length > 0 ? loginProxies[(result.index - 1) % loginProxies.length] : null);
+      const login = await checkLogin(keys[result.index - 1], { baseUrl: config.baseUrl, proxy, policy });
+      rows.push({ check: `Login ${result.index}`, target: result.address, ok: login.ok, detail: login.ok ? `${login.latency} ms` : login.error });
+    }
+  }
+
+  for (const row of rows) {
+    logger.log(row.ok ? 'info' : 'error', `${row.check} ${row.target}: ${row.ok ? 'PASS' : 'FAIL'}${row.detail ? ` (${row.detail})` : ''}`, { skipPretty: true });
+  }
+  formatCheckTable(rows);
+
+  const failed = rows.filter(row => !row.ok).length;
+  if (failed > 0) {
+    logger.error(`${failed} of ${rows.length} checks failed`);
+    process.exitCode = 1;
+  } else {
+    logger.info(`All ${rows.length} checks passed`, { emoji: '✅ ' });
+  }
+}
+
+function parseCount(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+async function stats(options) {
+  const config = await setup(options);
+  if (!config.historyFile) {
+    throw new Error('The points history is disabled (historyFile is null)');
+  }
+  const days = parseCount(options.days, '--days');
+  const stallDays = parseCount(options.stallDays, '--stall-days');
+  const { entries, invalid } = await readHistory(config.historyFile);
+  if (invalid > 0) {
+    logger.warn(`Ignored ${invalid} unreadable line${invalid === 1 ? '' : 's'} in ${config.historyFile}`, { emoji: '⚠️ ' });
+  }
+  if (entries.length === 0) {
+    logger.warn(`No points history in ${config.historyFile} yet`, { emoji: '⚠️ ' });
+    return;
+  }
+
+  const summary = summarizeHistory(entries, { days, stallDays });
+  for (const account of summary.accounts) {
+    logger.info(`${account.address}: ${account.points ?? '-'} points${account.stalled ? ', stalled' : ''}`, {
+      skipPretty: true,
+      address: account.address,
+      points: account.points,
+      lastEarned: account.lastEarned,
+      stalled: account.stalled
+    });
+  }
+  formatStatsTables(summary);
+
+  const stalled = summary.accounts.filter(account => account.stalled).length;
+  logger.info(`${summary.totalPoints} points across ${summary.accounts.length} accounts`, { emoji: '💰 ' });
+  if (stalled > 0) {
+    logger.warn(`${stalled} account${stalled === 1 ? ' has' : 's have'} not earned points in ${stallDays} days`, { emoji: '⚠️ ' });
+  }
+}
+
+/**
+ * Runs processAccount offline against one account of a recording. Requests are
+ * answered from the recording, nothing is completed for real and no session,
+ * state, history or report is written.
+ */
+async function replay(file, options) {
+  const config = await setup(options);
+  const entries = await readRecording(file);
+  const addresses = recordedAccounts(entries);
+  if (addresses.length === 0) {
+    throw new Error(`${file} has no account requests`);
+  }
+  const playback = createReplay(entries, options.address ?? addresses[0]);
+  if (!options.address && addresses.length > 1) {
+    logger.info(`${file} has ${addresses.length} accounts, replaying ${playback.address} (pick another with --address)`, { emoji: 'ℹ️ ' });
+  }
+
+  const sessionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-replay-'));
+  try {
+    if (playback.session) {
+      await saveSession(sessionDir, playback.address, playback.session);
+    }
+    const report = await processAccount({ signer: playback.signer, index: 0, total: 1, label: 'Replay' }, {
+      config: { ...config, baseUrl: playback.baseUrl, sessionDir, ipCheckUrl: null, dryRun: false, taskDelay: 0, retryBackoff: 0 },
+      registry: await loadRegistry(config),
+      transport: playback.transport
+    });
+
+    for (const failure of report.failures) {
+      const where = [failure.endpoint, failure.status && `HTTP ${failure.status}`, failure.resCode !== null && `res_code ${failure.resCode}`].filter(Boolean).join(', ');
+      logger.warn(`${failure.step}${failure.task ? ` ${failure.task}` : ''}: ${failure.type} (${where || 'no response'}): ${failure.message}`, { emoji: '🔎 ', failure });
+    }
+    const unused = playback.unused();
+    if (unused.length > 0) {
+      logger.warn(`${unused.length} recorded request${unused.length === 1 ? ' was' : 's were'} not replayed: ${unused.map(entry => `${entry.request.method} ${new URL(entry.request.url).pathname}`).join(', ')}`, { emoji: '⚠️ ' });
+    }
+    if (report.error) {
+      logger.error(`Replay ended with: ${report.error}`);
+      process.exitCode = 1;
+    } else {
+      logger.info(`Replay finished: ${report.tasks.length} task${report.tasks.length === 1 ? '' : 's'}, ${report.failures.length} failed step${report.failures.length === 1 ? '' : 's'}`, { emoji: '✅ ' });
+    }
+  } finally {
+    await fs.rm(sessionDir, { recursive: true, force: true });
+  }
+}
+
+export async function main(argv = process.argv) {
+  const program = new Command();
+  program
+    .name('openverse-bot')
+    .description('Openverse auto complete daily task bot')
+    .option('-c, --config <path>', 'config file (JSON or YAML), defaults to config.json/config.yaml if present')
+    .option('--base-url <url>', `Openverse API base URL (default: "${DEFAULT_CONFIG.baseUrl}")`)
+    .option('--proxy', 'use proxies from the proxy file')
+    .option('--no-proxy', 'do not use proxies')
+    .option('--keys <path>', 'private key file, read instead of the vault and keystore (default: the vault, the keystore, or "pk.txt")')
+    .option('--vault-file <path>', `encrypted key vault (default: "${DEFAULT_CONFIG.vaultFile}")`)
+    .option('--keystore-dir <path>', `directory of encrypted keystore files (default: "${DEFAULT_CONFIG.keystoreDir}")`)
+    .option('--accounts-file <path>', 'accounts file (JSON, YAML or CSV) with labels, groups and per-account settings, used instead of the key file')
+    .option('--proxies <path>', `proxy file (default: "${DEFAULT_CONFIG.proxies}")`)
+    .option('--once', 'run a single cycle and exit')
+    .option('--interval <duration>', 'time between runs of an account when no schedule is set, e.g. 24h, 90m, 3600')
+    .option('--schedule <cron>', 'cron expression in UTC, e.g. "0 0 * * *"')
+    .option('--reset-time <HH:MM>', 'run once a day after this UTC time')
+    .option('--state-file <path>', `last successful run per account (default: "${DEFAULT_CONFIG.stateFile}")`)
+    .option('--checkpoint-file <path>', `progress of the running cycle, used to resume after a stop (default: "${DEFAULT_CONFIG.checkpointFile}")`)
+    .option('--no-checkpoint', 'always start cycles from the first account')
+    .option('--overdue-only', 'with --once, only run accounts that are due')
+    .option('--dashboard', 'full-screen view of all accounts with live state, a log pane and pause/skip/retry keys')
+    .option('--dry-run', 'log in and show the tasks that would run without completing any, then exit')
+    .option('--task-order <order>', 'task order: default, points-desc or points-asc')
+    .option('--plugin-dir <path>', `directory with task provider plugins (default: "${DEFAULT_CONFIG.pluginDir}")`)
+    .option('--metrics-port <port>', 'serve Prometheus /metrics and /healthz on this port (long-running mode only)')
+    .option('--metrics-host <host>', `address for the metrics server (default: "${DEFAULT_CONFIG.metricsHost}")`)
+    .option('--accounts <list>', 'only run these accounts (1-based), e.g. 1,3-5')
+    .option('--group <names>', 'only run accounts in these groups or with these tags, e.g. team-a,team-b')
+    .option('--concurrency <n>', 'number of accounts processed in parallel')
+    .option('--rate-limit <rps>', 'maximum requests per second to the Openverse API (0 = unlimited)')
+    .option('--log-format <format>', 'console log format: pretty or json')
+    .option('--log-level <level>', 'console log level: debug, info, warn or error')
+    .option('--log-file <path>', 'also append JSON lines logs to this file')
+    .option('--report-dir <path>', `directory for per-cycle JSON/CSV reports (default: "${DEFAULT_CONFIG.reportDir}")`)
+    .option('--no-report', 'do not write run reports')
+    .option('--history-file <path>', `points history, one JSON line per account run (default: "${DEFAULT_CONFIG.historyFile}")`)
+    .option('--no-history', 'do not record the points history')
+    .option('--record [dir]', 'save every API request and response of a cycle, with secrets redacted, to <dir>/<time>.har (default dir: "recordings")')
+    .action(options => run(options));
+
+  program
+    .command('import-keys')
+    .description('encrypt the private key file into the vault and wipe it')
+    .action(async (options, command) => {
+      const config = await setup(command.optsWithGlobals());
+      await importKeys(config);
+    });
+
+  program
+    .command('validate')
+    .description('check keys, duplicates and proxies (and optionally logins) and print a pass/fail table')
+    .option('--login', 'also sign in once with every valid key')
+    .action(async (options, command) => validate(command.optsWithGlobals()));
+
+  program
+    .command('stats')
+    .description('show points per account, daily changes, points per task category and stalled accounts from the history')
+    .option('--days <n>', 'number of days to show', '7')
+    .option('--stall-days <n>', 'flag accounts that have not earned points for this many days', '2')
+    .action(async (options, command) => stats(command.optsWithGlobals()));
+
+  program
+    .command('replay <file>')
+    .description('run one account offline against a recording made with --record and show why each step failed')
+    .option('--address <address>', 'account to replay when the recording has several (default: the first)')
+    .action(async (file, options, command) => replay(file, command.optsWithGlobals()));
+
+  await program.parseAsync(argv);
+}
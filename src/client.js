@@ -0,0 +1,265 @@
+import { EventEmitter } from 'events';
+import { CookieJar } from 'tough-cookie';
+import {
+  requestWithRetry,
+  getGlobalHeaders,
+  getLoginHeaders,
+  getRandomUserAgent,
+  getXsrfToken,
+  newAgent
+} from './http.js';
+
+import { createTaskRegistry } from './providers.js';
+import { AuthError, ResponseError, TaskAlreadyDone } from './errors.js';
+
+export const DEFAULT_BASE_URL = 'https://launch.openverse.network';
+export const SIGN_IN_MESSAGE = 'Sign-in';
+
+/**
+ * @typedef {object} Session
+ * @property {string} accessToken
+ * @property {CookieJar} jar
+ *
+ * @typedef {object} Task
+ * @property {string} id           task_code
+ * @property {string} title
+ * @property {string} category     provider category, e.g. UserVisit or AdvanceVisit
+ * @property {number} points       reward_point
+ * @property {'pending'|'completed'} status
+ *
+ * @typedef {object} TaskResult
+ * @property {Task} task
+ * @property {'completed'|'already_done'|'failed'} status
+ * @property {number} resCode
+ * @property {string} resMsg
+ * @property {TaskAlreadyDone|ResponseError|null} error why the task was not completed
+ *
+ * @typedef {object} User
+ * @property {string} address
+ * @property {number} point
+ */
+
+/**
+ * Client for the launch.openverse.network task API. Performs no console output;
+ * failed calls reject with the typed errors from errors.js, and progress is
+ * reported through events:
+ *
+ * - `request` `{ method, url, endpoint, status, duration, error? }` after every HTTP attempt
+ * - `retry` `{ method, url, endpoint, kind, attempt, retries, wait }` before a retry
+ * - `login` `{ address, session }` after a successful login
+ * - `login_failed` `{ address, error }` when a login attempt throws
+ * - `relogin` `{ address }` when an expired session triggers a new login
+ * - `task` `TaskResult` after every completion attempt that got an answer
+ */
+export class OpenverseClient extends EventEmitter {
+  /**
+   * @param {{ getAddress(): Promise<string>, signMessage(message: string): Promise<string> }} signer
+   * @param {object} [options]
+   * @param {string} [options.baseUrl]
+   * @param {string} [options.proxy]        http(s):// or socks4/5:// proxy URL
+   * @param {Session} [options.session]     previously saved session to reuse
+   * @param {boolean} [options.autoRelogin] log in again once when a request gets 401/419 (default true)
+   * @param {{ acquire(): Promise<void> }} [options.rateLimiter] shared limiter for API requests
+   * @param {ReturnType<typeof createTaskRegistry>} [options.registry] task providers (default: the built-in categories)
+   * @param {number} [options.retries]      attempts per request
+   * @param {number} [options.backoff]      base retry backoff in ms
+   * @param {number} [options.maxBackoff]   retry backoff cap in ms
+   * @param {number} [options.deadline]     overall time budget per request in ms
+   * @param {number} [options.timeout]      per-attempt timeout in ms
+   */
+  constructor(signer, options = {}) {
+    super();
+    const { baseUrl = DEFAULT_BASE_URL, proxy = null, session = null, autoRelogin = true, registry = createTaskRegistry(), ...policy } = options;
+    this.signer = signer;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.proxy = proxy;
+    this.agent = proxy ? newAgent(proxy) : null;
+    if (proxy && !this.agent) {
+      throw new Error(`Unsupported proxy: ${proxy}`);
+    }
+    this.session = session;
+    this.autoRelogin = autoRelogin;
+    this.registry = registry;
+    this.address = null;
+    this.policy = {
+      ...policy,
+      onRequest: info => this.emit('request', info),
+      onRetry: info => this.emit('retry', info)
+    };
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      this.address = await this.signer.getAddress();
+    }
+    return this.address;
+  }
+
+  #baseConfig(headers, jar) {
+    return {
+      headers,
+      withCredentials: true,
+      httpsAgent: this.agent,
+      proxy: false,
+      jar
+    };
+  }
+
+  #authorizedConfig(extraHeaders = {}) {
+    return this.#baseConfig({ ...getGlobalHeaders(this.baseUrl, this.session.accessToken), ...extraHeaders }, this.session.jar);
+  }
+
+  async #request(method, path, payload = null, extraHeaders = {}) {
+    if (!this.session) {
+      await this.login();
+    }
+    const buildConfig = () => this.#authorizedConfig(extraHeaders);
+    const onAuthError = this.autoRelogin
+      ? async () => {
+        this.emit('relogin', { address: await this.getAddress() });
+        await this.login();
+        return buildConfig();
+      }
+      : null;
+    return requestWithRetry(method, `${this.baseUrl}${path}`, payload, buildConfig(), { ...this.policy, onAuthError });
+  }
+
+  async fetchCsrfCookie(jar) {
+    await requestWithRetry('get', `${this.baseUrl}/sanctum/csrf-cookie`, null, this.#baseConfig({
+      'accept': 'application/json, text/plain, */*',
+      'accept-encoding': 'gzip, deflate, br',
+      'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
+      'referer': `${this.baseUrl}/`,
+      'user-agent': getRandomUserAgent(),
+      'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Opera";v="119"',
+      'sec-ch-ua-mobile': '?0',
+      'sec-ch-ua-platform': '"Windows"',
+      'sec-fetch-dest': 'empty',
+      'sec-fetch-mode': 'cors',
+      'sec-fetch-site': 'same-origin'
+    }, jar), this.policy);
+
+    if (!getXsrfToken(jar, `${this.baseUrl}/`)) {
+      throw new ResponseError('XSRF-TOKEN not found in cookies', { endpoint: '/sanctum/csrf-cookie' });
+    }
+  }
+
+  /** Fetches a fresh XSRF cookie when the current session has none left. */
+  async ensureCsrfCookie() {
+    if (this.session && !getXsrfToken(this.session.jar, `${this.baseUrl}/`)) {
+      await this.fetchCsrfCookie(this.session.jar);
+    }
+  }
+
+  /** @returns {Promise<{ address: string, accessToken: string }>} */
+  async login() {
+    try {
+      return await this.#login();
+    } catch (error) {
+      this.emit('login_failed', { address: this.address, error });
+      throw error;
+    }
+  }
+
+  async #login() {
+    const address = await this.getAddress();
+    const sign = await this.signer.signMessage(SIGN_IN_MESSAGE);
+
+    const jar = new CookieJar();
+    await this.fetchCsrfCookie(jar);
+
+    const payload = {
+      address: address,
+      referral_code: null,
+      sign: sign
+    };
+    const payloadString = JSON.stringify(payload);
+    const loginHeaders = {
+      ...getLoginHeaders(this.baseUrl),
+      'Content-Length': payloadString.length.toString()
+    };
+    const response = await requestWithRetry('post', `${this.baseUrl}/api/bindLogin`, payload, this.#baseConfig(loginHeaders, jar), this.policy);
+
+    const data = expectJson(response);
+    if (data.res_code !== 0) {
+      throw new AuthError(`Login failed: ${data.res_msg}`, responseDetails(response));
+    }
+
+    this.session = { accessToken: data.data.access_token, jar };
+    this.emit('login', { address, session: this.session });
+    return { address, accessToken: this.session.accessToken };
+  }
+
+  /** @returns {Promise<Task[]>} pending tasks of every registered category */
+  async listTasks() {
+    const tasks = [];
+    for (const provider of this.registry.list()) {
+      const body = expectJson(await this.#request('get', provider.listPath));
+      for (const task of provider.parseTasks(body)) {
+        tasks.push({
+          id: task.id,
+          title: task.title,
+          category: provider.category,
+          points: task.points,
+          status: 'pending'
+        });
+      }
+    }
+    return tasks;
+  }
+
+  /**
+   * @param {Task} task
+   * @returns {Promise<TaskResult>}
+   */
+  async completeTask(task) {
+    const provider = this.registry.get(task.category);
+    if (!provider) {
+      throw new Error(`No task provider for category ${task.category}`);
+    }
+    const payload = provider.donePayload(task);
+    const response = await this.#request('post', provider.donePath, payload, {
+      'Content-Length': JSON.stringify(payload).length.toString(),
+      'Content-Type': 'application/json'
+    });
+    const data = expectJson(response);
+
+    let status = 'failed';
+    let error = null;
+    if (provider.isCompleted(data)) {
+      status = 'completed';
+    } else if (provider.isAlreadyDone(data)) {
+      status = 'already_done';
+      error = new TaskAlreadyDone(`Task ${task.id} was already done: ${data.res_msg}`, responseDetails(response));
+    } else {
+      error = new ResponseError(`Task ${task.id} failed: ${data.res_msg}`, responseDetails(response));
+    }
+    const result = { task, status, resCode: data.res_code, resMsg: data.res_msg, error };
+    this.emit('task', result);
+    return result;
+  }
+
+  /** @returns {Promise<User>} */
+  async getUser() {
+    const data = expectJson(await this.#request('get', '/api/user'));
+    return { address: data.address, point: data.point };
+  }
+}
+
+function responseDetails(response) {
+  const body = response.data && typeof response.data === 'object' ? response.data : {};
+  return {
+    endpoint: new URL(response.config.url).pathname,
+    status: response.status,
+    resCode: body.res_code ?? null,
+    resMsg: body.res_msg ?? null
+  };
+}
+
+function expectJson(response) {
+  if (!response.data || typeof response.data !== 'object') {
+    const details = responseDetails(response);
+    throw new ResponseError(`Malformed response from ${details.endpoint}`, details);
+  }
+  return response.data;
+}
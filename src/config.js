@@ -0,0 +1,164 @@
+import fs from 'fs/promises';
+import YAML from 'yaml';
+import { compileTaskFilter, sortTasks } from './tasks.js';
+import { createNotifier } from './notify.js';
+import { fileExists } from './utils.js';
+
+const CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+export const DEFAULT_CONFIG = {
+  baseUrl: 'https://launch.openverse.network',
+  ipCheckUrl: 'https://api.ipify.org?format=json',
+  sessionDir: 'sessions',
+  proxy: undefined,
+  keys: null,
+  vaultFile: 'vault.json',
+  keystoreDir: 'keystore',
+  accountsFile: null,
+  proxies: 'proxy.txt',
+  once: false,
+  interval: 86400,
+  schedule: null,
+  resetTime: null,
+  stateFile: 'state.json',
+  checkpointFile: 'checkpoint.json',
+  historyFile: 'history.jsonl',
+  overdueOnly: false,
+  dryRun: false,
+  dashboard: false,
+  taskFilter: null,
+  taskOrder: 'default',
+  pluginDir: 'plugins',
+  notifications: null,
+  metricsPort: null,
+  metricsHost: '127.0.0.1',
+  accounts: null,
+  group: null,
+  timeout: 60,
+  retries: 3,
+  retryBackoff: 2,
+  retryMaxBackoff: 30,
+  requestDeadline: 120,
+  taskDelay: 2,
+  accountDelay: 5,
+  concurrency: 1,
+  rateLimit: 0,
+  logFormat: 'pretty',
+  logLevel: 'info',
+  logFile: null,
+  reportDir: 'reports',
+  recordDir: null
+};
+// A range like 1-2000000000 would fill memory before the accounts are even read
+const MAX_SELECTED_ACCOUNTS = 10000;
+const DURATION_KEYS = ['interval', 'timeout', 'retryBackoff', 'retryMaxBackoff', 'requestDeadline', 'taskDelay', 'accountDelay'];
+
+export function parseDuration(value, name) {
+  if (typeof value === 'number' && value >= 0) return value;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+  if (!match) {
+    throw new Error(`Invalid duration for ${name}: ${value}`);
+  }
+  const units = { ms: 0.001, s: 1, m: 60, h: 3600, d: 86400 };
+  return parseFloat(match[1]) * units[match[2] || 's'];
+}
+
+export function parseAccountSelection(spec) {
+  if (spec === null || spec === undefined || spec === '') return null;
+  const indices = new Set();
+  for (const part of String(spec).split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid account selection: ${part}`);
+    }
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    if (start < 1 || end < start) {
+      throw new Error(`Invalid account range: ${part}`);
+    }
+    if (end - start + 1 > MAX_SELECTED_ACCOUNTS - indices.size) {
+      throw new Error(`Account selection covers more than ${MAX_SELECTED_ACCOUNTS} accounts: ${spec}`);
+    }
+    for (let i = start; i <= end; i++) indices.add(i - 1);
+  }
+  return indices;
+}
+
+/** Accepts "team-a,team-b" or a list; returns the group names or null for all groups. */
+export function parseGroupSelection(spec) {
+  if (spec === null || spec === undefined) return null;
+  const groups = [].concat(spec).flatMap(value => String(value).split(',')).map(name => name.trim()).filter(Boolean);
+  return groups.length > 0 ? groups : null;
+}
+
+export async function readConfigFile(configPath) {
+  let file = configPath;
+  if (!file) {
+    for (const candidate of CONFIG_FILES) {
+      if (await fileExists(candidate)) {
+        file = candidate;
+        break;
+      }
+    }
+    if (!file) return { file: null, values: {} };
+  }
+  const data = await fs.readFile(file, 'utf-8');
+  const parsed = /\.ya?ml$/i.test(file) ? YAML.parse(data) : JSON.parse(data);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${file} must contain an object`);
+  }
+  return { file, values: parsed };
+}
+
+export function resolveConfig(values) {
+  const config = { ...DEFAULT_CONFIG, ...values };
+  config.baseUrl = String(config.baseUrl).replace(/\/+$/, '');
+  for (const key of DURATION_KEYS) {
+    config[key] = parseDuration(config[key], key);
+  }
+  config.retries = Number(config.retries);
+  if (!Number.isInteger(config.retries) || config.retries < 1) {
+    throw new Error('retries must be a positive integer');
+  }
+  config.concurrency = Number(config.concurrency);
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    throw new Error('concurrency must be a positive integer');
+  }
+  config.rateLimit = Number(config.rateLimit);
+  if (!Number.isFinite(config.rateLimit) || config.rateLimit < 0) {
+    throw new Error('rateLimit must be a non-negative number');
+  }
+  config.accounts = parseAccountSelection(config.accounts);
+  config.group = parseGroupSelection(config.group);
+  compileTaskFilter(config.taskFilter);
+  sortTasks([], config.taskOrder);
+  createNotifier(config.notifications);
+  if (config.metricsPort !== null) {
+    config.metricsPort = Number(config.metricsPort);
+    if (!Number.isInteger(config.metricsPort) || config.metricsPort < 0 || config.metricsPort > 65535) {
+      throw new Error('metricsPort must be a port number');
+    }
+  }
+  return config;
+}
+
+export async function loadConfig(options) {
+  const { file, values: fileConfig } = await readConfigFile(options.config);
+  const cliConfig = Object.fromEntries(
+    Object.entries(options).filter(([key, value]) => key in DEFAULT_CONFIG && value !== undefined)
+  );
+  const config = resolveConfig({ ...fileConfig, ...cliConfig });
+  if (options.report === false) {
+    config.reportDir = null;
+  }
+  if (options.checkpoint === false) {
+    config.checkpointFile = null;
+  }
+  if (options.history === false) {
+    config.historyFile = null;
+  }
+  if (options.record) {
+    config.recordDir = options.record === true ? 'recordings' : options.record;
+  }
+  const unknownKeys = Object.keys(fileConfig).filter(key => !(key in DEFAULT_CONFIG));
+  return { config, file, unknownKeys };
+}
@@ -0,0 +1,272 @@
+import { EventEmitter } from 'events';
+import readline from 'readline';
+import chalk from 'chalk';
+import { stripAnsi } from './utils.js';
+
+const LOG_LIMIT = 500;
+const REDRAW_INTERVAL = 250;
+const STATE_COLORS = {
+  queued: chalk.gray,
+  'not due': chalk.gray,
+  'logging in': chalk.cyanBright,
+  'fetching tasks': chalk.cyanBright,
+  tasks: chalk.cyanBright,
+  done: chalk.greenBright,
+  failed: chalk.redBright,
+  skipped: chalk.yellowBright,
+  stopped: chalk.yellowBright
+};
+const LEVEL_COLORS = { debug: chalk.gray, info: chalk.green, warn: chalk.yellow, error: chalk.red };
+const COLUMNS = [
+  { title: '#', width: 4 },
+  { title: 'Account', width: 18 },
+  { title: 'Address', width: 13 },
+  { title: 'State', width: 15 },
+  { title: 'Points', width: 8 },
+  { title: 'Detail', width: 0 }
+];
+
+// Pads or cuts the plain text first and colours it afterwards, so escape codes never count towards the width
+function cell(text, width, color = value => value) {
+  const value = stripAnsi(String(text ?? ''));
+  const fitted = value.length > width ? `${value.slice(0, Math.max(0, width - 1))}…` : value.padEnd(width);
+  return color(fitted);
+}
+
+function formatWait(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor(seconds / 60) % 60;
+  const s = seconds % 60;
+  return h > 0 ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m ${String(s).padStart(2, '0')}s`;
+}
+
+function describeState(row) {
+  return row.state === 'tasks' ? `tasks ${row.tasksDone}/${row.tasksTotal}` : row.state;
+}
+
+function statusLine(view, now) {
+  const rows = view.accounts;
+  const count = state => rows.filter(row => row.state === state).length;
+  const parts = ['Openverse Bot'];
+  if (view.cycle.running) {
+    parts.push(`cycle ${formatWait(now - Date.parse(view.cycle.startedAt))}`);
+    parts.push(`${count('done')}/${rows.filter(row => row.state !== 'not due').length} done, ${count('failed')} failed`);
+  } else if (view.nextRunAt) {
+    parts.push(`next cycle in ${formatWait(view.nextRunAt - now)}`);
+  } else {
+    parts.push('idle');
+  }
+  const points = rows.reduce((sum, row) => sum + (row.points === null ? 0 : Number(row.points)), 0);
+  parts.push(`${points} points`);
+  if (view.paused) parts.push(chalk.bold.yellowBright('PAUSED'));
+  return parts.join(' │ ');
+}
+
+/**
+ * Renders the dashboard as exactly `height` lines of at most `width` columns: a
+ * status line, the account table (scrolled to keep the selected row visible),
+ * the newest log lines and a key help line.
+ */
+export function renderDashboard(view, { width = 80, height = 24, now = Date.now() } = {}) {
+  const detailWidth = Math.max(0, width - COLUMNS.slice(0, -1).reduce((sum, column) => sum + column.width + 1, 0) - 2);
+  const widths = COLUMNS.map(column => column.width || detailWidth);
+  const tableHeight = Math.max(1, Math.min(view.accounts.length, Math.floor((height - 6) / 2)));
+  const offset = Math.min(
+    Math.max(0, view.selected - tableHeight + 1),
+    Math.max(0, view.accounts.length - tableHeight)
+  );
+
+  const lines = [cell(statusLine(view, now), width, chalk.bold), ''];
+  lines.push(`  ${COLUMNS.map((column, i) => cell(column.title, widths[i], chalk.cyanBright)).join(' ')}`);
+  const visible = view.accounts.slice(offset, offset + tableHeight);
+  for (const [i, row] of visible.entries()) {
+    const selected = offset + i === view.selected;
+    const address = row.address ? `${row.address.slice(0, 6)}…${row.address.slice(-4)}` : '-';
+    lines.push([
+      selected ? chalk.bold('>') : ' ',
+      cell(row.index, widths[0]),
+      cell(row.label || `Account ${row.index}`, widths[1]),
+      cell(address, widths[2]),
+      cell(describeState(row), widths[3], STATE_COLORS[row.state]),
+      cell(row.points ?? '-', widths[4]),
+      cell(row.error || '', widths[5], chalk.redBright)
+    ].join(' '));
+  }
+  while (lines.length < tableHeight + 3) lines.push('');
+
+  lines.push(chalk.gray(`─ Log ${'─'.repeat(Math.max(0, width - 6))}`));
+  const logHeight = Math.max(0, height - lines.length - 1);
+  const logs = logHeight > 0 ? view.logs.slice(-logHeight) : [];
+  for (const entry of logs) {
+    const time = entry.timestamp.slice(11, 19);
+    const context = entry.context ? `[${entry.context}] ` : '';
+    const color = LEVEL_COLORS[entry.level];
+    lines.push(`${chalk.gray(time)} ${color(entry.level.toUpperCase().padEnd(5))} ${cell(`${context}${entry.msg}`, Math.max(0, width - 15))}`);
+  }
+  while (lines.length < height - 1) lines.push('');
+  lines.push(cell('↑/↓ select  p pause/resume  s skip account  r retry failed  q quit', width, chalk.gray));
+  return lines.slice(0, height);
+}
+
+/**
+ * Full-screen view of a run. The runner reports cycle and account state through
+ * `cycleStarted`, `updateAccount` and `setNextRun`; log records arrive through
+ * `sink()`. Keys are turned into events: `skip` (1-based account index), `retry`
+ * and `quit`, while `p` toggles `paused`.
+ */
+export class Dashboard extends EventEmitter {
+  constructor({ output = process.stdout, input = process.stdin } = {}) {
+    super();
+    this.output = output;
+    this.input = input;
+    this.paused = false;
+    this.view = { accounts: [], selected: 0, logs: [], cycle: { running: false, startedAt: null }, nextRunAt: null, paused: false };
+    this.active = false;
+    this.dirty = true;
+    this.resumeWaiters = [];
+    this.onKeypress = this.onKeypress.bind(this);
+    this.onResize = this.onResize.bind(this);
+    this.redraw = this.redraw.bind(this);
+    this.restore = this.restore.bind(this);
+  }
+
+  /** A logger sink that sends records to the log pane instead of the terminal. */
+  sink(minLevel = 'info') {
+    return { pretty: false, stream: null, minLevel, write: record => this.log(record) };
+  }
+
+  log({ timestamp, level, context, msg }) {
+    this.view.logs.push({ timestamp, level, context, msg: stripAnsi(String(msg)).replace(/\s+/g, ' ').trim() });
+    if (this.view.logs.length > LOG_LIMIT) this.view.logs.splice(0, this.view.logs.length - LOG_LIMIT);
+    this.dirty = true;
+  }
+
+  cycleStarted(accounts) {
+    for (const { index, label, address, queued } of accounts) {
+      let row = this.view.accounts.find(existing => existing.index === index);
+      if (!row) {
+        row = { index, state: 'not due', tasksDone: 0, tasksTotal: 0, points: null, error: null };
+        this.view.accounts.push(row);
+      }
+      Object.assign(row, { label, address });
+      if (queued) {
+        Object.assign(row, { state: 'queued', tasksDone: 0, tasksTotal: 0, error: null });
+      }
+    }
+    this.view.accounts.sort((a, b) => a.index - b.index);
+    this.view.cycle = { running: true, startedAt: new Date().toISOString() };
+    this.view.nextRunAt = null;
+    this.dirty = true;
+  }
+
+  updateAccount(index, patch) {
+    const row = this.view.accounts.find(existing => existing.index === index);
+    if (!row) return;
+    Object.assign(row, patch);
+    this.dirty = true;
+  }
+
+  cycleFinished() {
+    this.view.cycle = { running: false, startedAt: null };
+    this.dirty = true;
+  }
+
+  setNextRun(time) {
+    this.view.nextRunAt = time ?? null;
+    this.dirty = true;
+  }
+
+  /** Resolves immediately when not paused, otherwise once resumed or `signal` aborts. */
+  whilePaused(signal = null) {
+    if (!this.paused || signal?.aborted) return Promise.resolve();
+    return new Promise(resolve => {
+      const done = () => {
+        signal?.removeEventListener('abort', done);
+        resolve();
+      };
+      signal?.addEventListener('abort', done, { once: true });
+      this.resumeWaiters.push(done);
+    });
+  }
+
+  togglePause() {
+    this.paused = !this.paused;
+    this.view.paused = this.paused;
+    if (!this.paused) {
+      for (const resume of this.resumeWaiters.splice(0)) resume();
+    }
+    this.dirty = true;
+  }
+
+  onKeypress(text, key = {}) {
+    const accounts = this.view.accounts;
+    if (key.name === 'up') {
+      this.view.selected = Math.max(0, this.view.selected - 1);
+    } else if (key.name === 'down') {
+      this.view.selected = Math.min(accounts.length - 1, this.view.selected + 1);
+    } else if (key.name === 'p') {
+      this.togglePause();
+    } else if (key.name === 's' && accounts[this.view.selected]) {
+      this.emit('skip', accounts[this.view.selected].index);
+    } else if (key.name === 'r') {
+      this.emit('retry');
+    } else if (key.name === 'q' || (key.ctrl && key.name === 'c')) {
+      this.emit('quit');
+    }
+    this.dirty = true;
+  }
+
+  onResize() {
+    this.dirty = true;
+  }
+
+  start() {
+    this.active = true;
+    this.output.write('\x1b[?1049h\x1b[?25l');
+    process.on('exit', this.restore);
+    if (this.input?.isTTY) {
+      readline.emitKeypressEvents(this.input);
+      this.input.setRawMode(true);
+      this.input.on('keypress', this.onKeypress);
+      this.input.resume();
+    }
+    this.output.on?.('resize', this.onResize);
+    this.timer = setInterval(this.redraw, REDRAW_INTERVAL);
+    this.redraw(true);
+  }
+
+  redraw(force = false) {
+    // The status line has clocks in it, so it is redrawn at least once a second
+    const tick = Math.floor(Date.now() / 1000);
+    if (!this.active || (!force && !this.dirty && tick === this.lastTick)) return;
+    this.dirty = false;
+    this.lastTick = tick;
+    const lines = renderDashboard(this.view, { width: this.output.columns || 80, height: this.output.rows || 24 });
+    this.output.write(`\x1b[H${lines.map(line => `${line}\x1b[K`).join('\n')}\x1b[J`);
+  }
+
+  restore() {
+    if (!this.active) return;
+    this.active = false;
+    clearInterval(this.timer);
+    if (this.input?.isTTY) {
+      this.input.off('keypress', this.onKeypress);
+      this.input.setRawMode(false);
+      this.input.pause();
+    }
+    this.output.off?.('resize', this.onResize);
+    this.output.write('\x1b[?25h\x1b[?1049l');
+  }
+
+  /** Leaves the full screen and prints the final status line and account table. */
+  stop() {
+    const active = this.active;
+    this.restore();
+    process.off('exit', this.restore);
+    if (!active) return;
+    const lines = renderDashboard(this.view, { width: this.output.columns || 80, height: this.view.accounts.length * 2 + 8 });
+    const table = lines.slice(0, lines.findIndex(line => stripAnsi(line).startsWith('─ Log')));
+    this.output.write(`${table.map(line => line.trimEnd()).join('\n').trim()}\n`);
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Errors thrown by the client. Each one carries where it happened and what the
+ * server answered, so callers can tell a dead session from a busy server:
+ *
+ * - `kind`      the classifyError kind: auth, rate_limit, server, client, network,
+ *               timeout, response, already_done, signer or unknown
+ * - `endpoint`  request path, e.g. /api/bindLogin
+ * - `status`    HTTP status, null when no response arrived
+ * - `resCode`   Openverse `res_code` from the body, if any
+ * - `resMsg`    Openverse `res_msg` from the body, if any
+ */
+export class OpenverseError extends Error {
+  constructor(message, { kind = 'unknown', endpoint = null, status = null, resCode = null, resMsg = null, code = undefined, cause = undefined } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    this.kind = kind;
+    this.endpoint = endpoint;
+    this.status = status;
+    this.resCode = resCode;
+    this.resMsg = resMsg;
+    if (code !== undefined) this.code = code;
+  }
+
+  toJSON() {
+    const { name: type, kind, endpoint, status, resCode, resMsg, message } = this;
+    return { type, kind, endpoint, status, resCode, resMsg, message };
+  }
+}
+
+/** 401/419 from the API, or a login the server refused. */
+export class AuthError extends OpenverseError {
+  constructor(message, details = {}) {
+    super(message, { ...details, kind: 'auth' });
+  }
+}
+
+/** 429 from the API. */
+export class RateLimitError extends OpenverseError {
+  constructor(message, details = {}) {
+    super(message, { ...details, kind: 'rate_limit' });
+  }
+}
+
+/** 5xx from the API. */
+export class ServerError extends OpenverseError {
+  constructor(message, details = {}) {
+    super(message, { ...details, kind: 'server' });
+  }
+}
+
+/** No response at all: connection errors (`kind` network) and timeouts (`kind` timeout). */
+export class NetworkError extends OpenverseError {
+  constructor(message, details = {}) {
+    super(message, { kind: 'network', ...details });
+  }
+}
+
+/** Any other 4xx. */
+export class RequestError extends OpenverseError {
+  constructor(message, details = {}) {
+    super(message, { ...details, kind: 'client' });
+  }
+}
+
+/** A 2xx answer the client cannot use: malformed JSON, or a `res_code` reporting failure. */
+export class ResponseError extends OpenverseError {
+  constructor(message, details = {}) {
+    super(message, { ...details, kind: 'response' });
+  }
+}
+
+/** The server says the task was finished before. Not a failure, but not a completion either. */
+export class TaskAlreadyDone extends OpenverseError {
+  constructor(message, details = {}) {
+    super(message, { ...details, kind: 'already_done' });
+  }
+}
+
+/** A remote signer that could not be reached, refused to sign or returned a bad signature. */
+export class SignerError extends OpenverseError {
+  constructor(message, details = {}) {
+    super(message, { ...details, kind: 'signer' });
+  }
+}
+
+/** Plain-object form of any error, typed or not, for reports and logs. */
+export function describeError(error) {
+  if (error instanceof OpenverseError) return error.toJSON();
+  return { type: error?.name || 'Error', kind: 'unknown', endpoint: null, status: null, resCode: null, resMsg: null, message: error?.message ?? String(error) };
+}
@@ -0,0 +1,137 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const DAY = 86400 * 1000;
+
+function entryPoints(entry) {
+  return entry.pointsAfter ?? entry.pointsBefore;
+}
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/** Turns a finished account report into one history line. */
+export function historyEntry(report) {
+  return {
+    time: report.finishedAt,
+    address: report.address,
+    pointsBefore: report.pointsBefore === null ? null : Number(report.pointsBefore),
+    pointsAfter: report.pointsAfter === null ? null : Number(report.pointsAfter),
+    tasks: report.tasks.map(({ code, category, points, outcome }) => ({ code, category, points: Number(points || 0), outcome })),
+    error: report.error
+  };
+}
+
+/** Appends one JSON line per account report to the history file. */
+export async function appendHistory(file, report) {
+  if (!file || !report.address) return;
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await fs.appendFile(file, `${JSON.stringify(historyEntry(report))}\n`);
+}
+
+/**
+ * Reads the history file. Lines that are not valid JSON (for example one cut short
+ * by a crash) are counted in `invalid` and otherwise ignored.
+ */
+export async function readHistory(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { entries: [], invalid: 0 };
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+  const entries = [];
+  let invalid = 0;
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry.address === 'string' && typeof entry.time === 'string') {
+        entries.push(entry);
+      } else {
+        invalid++;
+      }
+    } catch {
+      invalid++;
+    }
+  }
+  return { entries, invalid };
+}
+
+/**
+ * Builds the `stats` view over the last `days` UTC days: latest points per account
+ * and in total, the daily point change per address, and the points earned per task
+ * category per day. An account is `stalled` when its points have not gone up for
+ * `stallDays` days.
+ */
+export function summarizeHistory(entries, { days = 7, stallDays = 2, now = Date.now() } = {}) {
+  const dayList = Array.from({ length: days }, (_, i) => utcDay(now - (days - 1 - i) * DAY));
+  const byAddress = new Map();
+  for (const entry of [...entries].sort((a, b) => Date.parse(a.time) - Date.parse(b.time))) {
+    const key = entry.address.toLowerCase();
+    if (!byAddress.has(key)) byAddress.set(key, []);
+    byAddress.get(key).push(entry);
+  }
+
+  const accounts = [];
+  const daily = [];
+  for (const list of byAddress.values()) {
+    let previous = null;
+    let lastEarned = null;
+    const closing = new Map();
+    const opening = new Map();
+    for (const entry of list) {
+      const points = entryPoints(entry);
+      if (points === null || points === undefined) continue;
+      const base = previous ?? entry.pointsBefore;
+      if (base !== null && base !== undefined && points > base) {
+        lastEarned = entry.time;
+      }
+      const day = utcDay(entry.time);
+      if (!opening.has(day)) opening.set(day, base);
+      closing.set(day, points);
+      previous = points;
+    }
+    const last = list[list.length - 1];
+    accounts.push({
+      address: last.address,
+      points: previous,
+      runs: list.length,
+      lastRun: last.time,
+      lastEarned,
+      lastError: last.error,
+      stalled: lastEarned === null || now - Date.parse(lastEarned) > stallDays * DAY
+    });
+    daily.push({
+      address: last.address,
+      deltas: dayList.map(day => {
+        if (!closing.has(day)) return null;
+        const start = opening.get(day);
+        return start === null || start === undefined ? null : closing.get(day) - start;
+      })
+    });
+  }
+
+  const categories = new Map();
+  for (const entry of entries) {
+    const column = dayList.indexOf(utcDay(entry.time));
+    if (column === -1) continue;
+    for (const task of entry.tasks || []) {
+      if (task.outcome !== 'completed') continue;
+      const category = task.category || 'Unknown';
+      if (!categories.has(category)) categories.set(category, dayList.map(() => 0));
+      categories.get(category)[column] += Number(task.points || 0);
+    }
+  }
+
+  return {
+    days: dayList,
+    totalPoints: accounts.reduce((sum, account) => sum + (account.points ?? 0), 0),
+    accounts,
+    daily,
+    dailyTotals: dayList.map((_, i) => daily.reduce((sum, row) => sum + (row.deltas[i] ?? 0), 0)),
+    categories: [...categories].map(([category, points]) => ({ category, points }))
+  };
+}
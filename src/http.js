@@ -0,0 +1,249 @@
+import axios from 'axios';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+import { delay } from './utils.js';
+import { OpenverseError, AuthError, RateLimitError, ServerError, NetworkError, RequestError } from './errors.js';
+
+export const DEFAULT_POLICY = {
+  retries: 3,
+  backoff: 2000,
+  maxBackoff: 30000,
+  deadline: 120000,
+  timeout: 60000
+};
+
+const RETRYABLE_ERRORS = new Set(['network', 'timeout', 'rate_limit', 'server']);
+
+const userAgents = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36 OPR/119.0.0.0 (Edition cdf)',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Safari/605.1.15',
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/105.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Firefox/102.0'
+];
+
+export function getRandomUserAgent() {
+  return userAgents[Math.floor(Math.random() * userAgents.length)];
+}
+
+export function getXsrfToken(jar, url) {
+  const cookie = jar.getCookiesSync(url).find(c => c.key === 'XSRF-TOKEN');
+  return cookie ? decodeURIComponent(cookie.value) : null;
+}
+
+function withCookieJar(config, url) {
+  const { jar, ...axiosConfig } = config;
+  if (!jar) return axiosConfig;
+  const headers = { ...axiosConfig.headers };
+  const cookie = jar.getCookieStringSync(url);
+  if (cookie) headers['cookie'] = cookie;
+  const xsrfToken = getXsrfToken(jar, url);
+  if (xsrfToken) headers['x-xsrf-token'] = xsrfToken;
+  return { ...axiosConfig, headers };
+}
+
+function storeCookies(jar, url, response) {
+  const cookies = response?.headers?.['set-cookie'];
+  if (!jar || !cookies) return;
+  for (const cookie of cookies) {
+    jar.setCookieSync(cookie, url, { ignoreError: true });
+  }
+}
+
+export function getGlobalHeaders(baseUrl, token) {
+  return {
+    'accept': 'application/json, text/plain, */*',
+    'accept-encoding': 'gzip, deflate, br',
+    'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
+    'authorization': `Bearer ${token}`,
+    'priority': 'u=1, i',
+    'referer': `${baseUrl}/`,
+    'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Opera";v="119"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"Windows"',
+    'sec-fetch-dest': 'empty',
+    'sec-fetch-mode': 'cors',
+    'sec-fetch-site': 'same-origin',
+    'user-agent': getRandomUserAgent()
+  };
+}
+
+export function getLoginHeaders(baseUrl) {
+  return {
+    'accept': 'application/json, text/plain, */*',
+    'accept-encoding': 'gzip, deflate, br',
+    'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
+    'cache-control': 'no-cache',
+    'content-type': 'application/json',
+    'origin': baseUrl,
+    'pragma': 'no-cache',
+    'priority': 'u=1, i',
+    'referer': `${baseUrl}/`,
+    'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Opera";v="119"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"Windows"',
+    'sec-fetch-dest': 'empty',
+    'sec-fetch-mode': 'cors',
+    'sec-fetch-site': 'same-origin',
+    'user-agent': getRandomUserAgent()
+  };
+}
+
+export function newAgent(proxy) {
+  if (proxy.startsWith('http://') || proxy.startsWith('https://')) {
+    return new HttpsProxyAgent(proxy);
+  } else if (proxy.startsWith('socks4://') || proxy.startsWith('socks5://')) {
+    return new SocksProxyAgent(proxy);
+  } else {
+    return null;
+  }
+}
+
+export function createRateLimiter(rps) {
+  let nextSlot = 0;
+  return {
+    async acquire() {
+      if (!rps) return;
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + 1000 / rps;
+      if (slot > now) await delay((slot - now) / 1000);
+    }
+  };
+}
+
+export function classifyError(error) {
+  if (error instanceof OpenverseError) return error.kind;
+  const status = error.response?.status;
+  if (status === 429) return 'rate_limit';
+  if (status === 401 || status === 419) return 'auth';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'client';
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+  if (error.isAxiosError) return 'network';
+  return 'unknown';
+}
+
+export function isAuthError(error) {
+  return classifyError(error) === 'auth';
+}
+
+const ERROR_TYPES = {
+  auth: AuthError,
+  rate_limit: RateLimitError,
+  server: ServerError,
+  client: RequestError,
+  network: NetworkError,
+  timeout: NetworkError
+};
+
+/** Wraps an axios (or other) error in the matching OpenverseError subclass; typed errors pass through. */
+export function toTypedError(error, endpoint = null) {
+  if (error instanceof OpenverseError) return error;
+  const kind = classifyError(error);
+  const body = error.response?.data;
+  const Type = ERROR_TYPES[kind] ?? OpenverseError;
+  return new Type(error.message, {
+    kind,
+    endpoint,
+    status: error.response?.status ?? null,
+    resCode: body?.res_code ?? null,
+    resMsg: body?.res_msg ?? null,
+    code: error.code,
+    cause: error
+  });
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getBackoff(attempt, base, max) {
+  const ceiling = Math.min(max, base * 2 ** attempt);
+  return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+/**
+ * Sends a request, retrying network, timeout, rate-limit and server errors with
+ * backoff. Rejects with the typed error (see errors.js) of the last attempt, or
+ * a timeout NetworkError when `deadline` passes before an attempt is sent.
+ * Every attempt is passed to `policy.recorder`, and `policy.transport` replaces
+ * axios.request, e.g. to replay a recording.
+ */
+export async function requestWithRetry(method, url, payload = null, config = {}, policy = {}) {
+  const {
+    retries,
+    backoff,
+    maxBackoff,
+    deadline,
+    timeout: requestTimeout,
+    onAuthError = null,
+    rateLimiter = null,
+    onRequest = null,
+    onRetry = null,
+    signal = null,
+    recorder = null,
+    transport = null
+  } = { ...DEFAULT_POLICY, ...policy };
+  const send = transport ?? axios.request;
+  const endpoint = new URL(url).pathname;
+  const giveUpAt = Date.now() + deadline;
+  let requestConfig = config;
+  let authRetried = false;
+
+  for (let attempt = 0; ; attempt++) {
+    await rateLimiter?.acquire();
+    const startedAt = Date.now();
+    const remaining = giveUpAt - startedAt;
+    if (remaining <= 0) {
+      // axios reads a timeout of 0 as none, so never send once the deadline has passed
+      throw new NetworkError(`Deadline of ${deadline}ms exceeded before sending ${method.toUpperCase()} ${endpoint}`, { kind: 'timeout', endpoint, code: 'ETIMEDOUT' });
+    }
+    let sent = null;
+    try {
+      const timeout = Math.min(requestConfig.timeout ?? requestTimeout, remaining);
+      sent = { ...withCookieJar({ ...requestConfig, timeout }, url), method, url, data: payload ?? undefined };
+      const response = await send(sent);
+      storeCookies(requestConfig.jar, url, response);
+      const duration = Date.now() - startedAt;
+      recorder?.record({ method, url, headers: sent.headers, payload, startedAt, duration, response, error: null });
+      onRequest?.({ method, url, endpoint, status: response.status, duration });
+      return response;
+    } catch (cause) {
+      storeCookies(requestConfig.jar, url, cause.response);
+      const error = toTypedError(cause, endpoint);
+      const { kind } = error;
+      const duration = Date.now() - startedAt;
+      recorder?.record({ method, url, headers: sent?.headers, payload, startedAt, duration, response: cause.response ?? null, error });
+      onRequest?.({ method, url, endpoint, status: error.status, duration, error });
+
+      if (kind === 'auth' && onAuthError && !authRetried) {
+        authRetried = true;
+        const refreshed = await onAuthError(error);
+        if (refreshed) {
+          requestConfig = refreshed;
+          continue;
+        }
+      }
+      if (!RETRYABLE_ERRORS.has(kind) || attempt >= retries - 1 || signal?.aborted) {
+        throw error;
+      }
+
+      let wait = getBackoff(attempt, backoff, maxBackoff);
+      if (kind === 'rate_limit') {
+        wait = Math.max(wait, parseRetryAfter(cause.response.headers?.['retry-after']) ?? 0);
+      }
+      if (Date.now() + wait >= giveUpAt) {
+        throw error;
+      }
+      onRetry?.({ method, url, endpoint, kind, attempt: attempt + 1, retries, wait });
+      await delay(wait / 1000, signal);
+      if (signal?.aborted) {
+        throw error;
+      }
+    }
+  }
+}
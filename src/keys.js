@@ -0,0 +1,281 @@
+import chalk from 'chalk';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { ethers } from 'ethers';
+import { logger } from './logger.js';
+import { askSecret } from './prompt.js';
+import { readAccountsFile } from './accounts.js';
+import { deriveMnemonicWallets, createRemoteSigner, listRemoteAccounts } from './signers.js';
+import { fileExists } from './utils.js';
+
+const DEFAULT_KEY_FILE = 'pk.txt';
+const PASSPHRASE_ENV = 'OPENVERSE_PASSPHRASE';
+const VAULT_SCRYPT = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+const scrypt = promisify(crypto.scrypt);
+
+/** An explicit key file wins; otherwise the vault, then the keystore directory, then pk.txt. */
+async function getKeySource(config) {
+  if (config.keys) return 'plaintext';
+  if (await fileExists(config.vaultFile)) return 'vault';
+  try {
+    const files = await fs.readdir(config.keystoreDir);
+    if (files.some(file => file.endsWith('.json'))) return 'keystore';
+  } catch {}
+  return 'plaintext';
+}
+
+async function getPassphrase(confirm = false) {
+  if (process.env[PASSPHRASE_ENV]) {
+    return process.env[PASSPHRASE_ENV];
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error(`No TTY available, set ${PASSPHRASE_ENV} to unlock the keystore`);
+  }
+  const passphrase = await askSecret(chalk.cyanBright('🔑 Keystore passphrase: '));
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+  if (confirm) {
+    const again = await askSecret(chalk.cyanBright('🔑 Confirm passphrase: '));
+    if (again !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+  return passphrase;
+}
+
+async function encryptVault(keys, passphrase) {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const key = await scrypt(passphrase, salt, 32, VAULT_SCRYPT);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(keys), 'utf-8'), cipher.final()]);
+  return {
+    version: 1,
+    kdf: 'scrypt',
+    kdfparams: { n: VAULT_SCRYPT.N, r: VAULT_SCRYPT.r, p: VAULT_SCRYPT.p, salt: salt.toString('hex') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex')
+  };
+}
+
+async function decryptVault(vault, passphrase) {
+  if (vault.version !== 1 || vault.kdf !== 'scrypt' || vault.cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported vault format');
+  }
+  const { n, r, p, salt } = vault.kdfparams;
+  const key = await scrypt(passphrase, Buffer.from(salt, 'hex'), 32, { N: n, r, p, maxmem: VAULT_SCRYPT.maxmem });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(vault.tag, 'hex'));
+  try {
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(vault.ciphertext, 'hex')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf-8'));
+  } catch {
+    throw new Error('Wrong passphrase or corrupted vault');
+  }
+}
+
+async function readVault(file, passphrase) {
+  const vault = JSON.parse(await fs.readFile(file, 'utf-8'));
+  return decryptVault(vault, passphrase);
+}
+
+async function readKeystoreDir(dir, passphrase) {
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  const keys = [];
+  for (const file of files) {
+    try {
+      const json = await fs.readFile(path.join(dir, file), 'utf-8');
+      const wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+      keys.push(wallet.privateKey);
+    } catch (error) {
+      logger.error(`Failed to decrypt ${file}: ${error.message}`, { emoji: '❌ ' });
+    }
+  }
+  if (files.length > 0 && keys.length === 0) {
+    throw new Error(`None of the keystore files in ${dir} could be decrypted`);
+  }
+  return keys;
+}
+
+async function readPlaintextKeys(file) {
+  const data = await fs.readFile(file, 'utf-8');
+  return data.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+}
+
+async function wipeFile(filePath) {
+  const handle = await fs.open(filePath, 'r+');
+  try {
+    const { size } = await handle.stat();
+    await handle.write(crypto.randomBytes(size), 0, size, 0);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.unlink(filePath);
+}
+
+export async function importKeys(config) {
+  const keyFile = config.keys || DEFAULT_KEY_FILE;
+  const { vaultFile } = config;
+  const keys = await readPlaintextKeys(keyFile);
+  if (keys.length === 0) {
+    throw new Error(`${keyFile} contains no private keys`);
+  }
+  keys.forEach((key, i) => {
+    try {
+      new ethers.Wallet(key);
+    } catch {
+      throw new Error(`${keyFile} line ${i + 1} is not a valid private key`);
+    }
+  });
+
+  let existing = [];
+  let passphrase;
+  if (await fileExists(vaultFile)) {
+    passphrase = await getPassphrase();
+    existing = await readVault(vaultFile, passphrase);
+  } else {
+    passphrase = await getPassphrase(true);
+  }
+
+  const merged = [...existing, ...keys.filter(key => !existing.includes(key))];
+  const vault = await encryptVault(merged, passphrase);
+  await fs.writeFile(vaultFile, JSON.stringify(vault, null, 2), { mode: 0o600 });
+  await fs.chmod(vaultFile, 0o600);
+  logger.info(`Stored ${merged.length} private key${merged.length === 1 ? '' : 's'} in ${vaultFile}`, { emoji: '🔐 ' });
+
+  await wipeFile(keyFile);
+  logger.info(`Wiped ${keyFile}`, { emoji: '🧹 ' });
+}
+
+let cachedPassphrase = null;
+
+/** Runs `unlock` with the cached or a new passphrase; only a passphrase that worked is kept for later cycles. */
+async function withPassphrase(unlock) {
+  const passphrase = cachedPassphrase || await getPassphrase();
+  try {
+    const result = await unlock(passphrase);
+    cachedPassphrase = passphrase;
+    return result;
+  } catch (error) {
+    cachedPassphrase = null;
+    throw error;
+  }
+}
+
+export async function readPrivateKeys(config) {
+  try {
+    const source = await getKeySource(config);
+    const from = source === 'vault' ? config.vaultFile : source === 'keystore' ? `${config.keystoreDir}/` : config.keys || DEFAULT_KEY_FILE;
+    let keys;
+    if (source === 'plaintext') {
+      keys = await readPlaintextKeys(from);
+    } else {
+      keys = await withPassphrase(passphrase => source === 'vault' ? readVault(from, passphrase) : readKeystoreDir(config.keystoreDir, passphrase));
+    }
+    logger.info(`Loaded ${keys.length} private key${keys.length === 1 ? '' : 's'} from ${from}`, { emoji: '📄 ' });
+    return keys;
+  } catch (error) {
+    logger.error(`Failed to read private keys: ${error.message}`, { emoji: '❌ ' });
+    return [];
+  }
+}
+
+async function decryptKeystoreFile(file) {
+  const json = await fs.readFile(file, 'utf-8');
+  const wallet = await withPassphrase(passphrase => ethers.Wallet.fromEncryptedJson(json, passphrase));
+  return wallet.privateKey;
+}
+
+/** An account signing with a local private key; an invalid key leaves `signer` and `address` null. */
+function keyAccount(entry, privateKey, where) {
+  let signer = null;
+  if (privateKey) {
+    try {
+      signer = new ethers.Wallet(privateKey);
+    } catch {
+      logger.error(`${where} has an invalid private key`, { emoji: '❌ ' });
+    }
+  }
+  return { ...entry, privateKey, signer, address: signer?.address ?? null };
+}
+
+function childLabel(label, index) {
+  return label ? `${label}-${index}` : null;
+}
+
+/** Turns one accounts file entry into its accounts: a mnemonic or remote signer can stand for several. */
+async function expandEntry({ key, keystore, mnemonic, path: hdPath, range, remoteSigner, address, ...entry }, where) {
+  if (keystore) {
+    try {
+      return [keyAccount(entry, await decryptKeystoreFile(keystore), where)];
+    } catch (error) {
+      logger.error(`Failed to decrypt ${keystore} for ${where}: ${error.message}`, { emoji: '❌ ' });
+      return [{ ...keyAccount(entry, null, where), error: 'keystore could not be decrypted' }];
+    }
+  }
+  if (mnemonic) {
+    return deriveMnemonicWallets(mnemonic, { path: hdPath, range }).map(({ index, path: childPath, wallet }) => ({
+      ...entry,
+      label: childLabel(entry.label, index),
+      path: childPath,
+      privateKey: wallet.privateKey,
+      signer: wallet,
+      address: wallet.address
+    }));
+  }
+  if (remoteSigner) {
+    let addresses = address ? [address] : [];
+    if (!address) {
+      try {
+        addresses = await listRemoteAccounts(remoteSigner);
+      } catch (error) {
+        logger.error(`Failed to list the accounts of ${remoteSigner} for ${where}: ${error.message}`, { emoji: '❌ ' });
+        return [{ ...keyAccount(entry, null, where), error: 'remote signer did not answer' }];
+      }
+    }
+    return addresses.map((signerAddress, i) => ({
+      ...entry,
+      label: address ? entry.label : childLabel(entry.label, i),
+      privateKey: null,
+      signer: createRemoteSigner(remoteSigner, signerAddress),
+      address: ethers.getAddress(signerAddress)
+    }));
+  }
+  return [keyAccount(entry, key, where)];
+}
+
+/**
+ * Loads the accounts to run, each with a `signer` and its `address`. With
+ * `accountsFile`, each entry brings its label, group, tags, enabled flag and
+ * overrides, and a mnemonic or remote signer entry expands into one account per
+ * derived or served address; otherwise every key from the vault, keystore
+ * directory or key file becomes an unlabeled, enabled account. An entry that
+ * cannot be unlocked keeps its place with a null `signer` and `address` and the
+ * reason in `error`.
+ * `privateKey` is null for remote signers.
+ */
+export async function readAccounts(config) {
+  if (!config.accountsFile) {
+    const keys = await readPrivateKeys(config);
+    return keys.map((privateKey, i) => keyAccount({ label: null, group: null, tags: [], enabled: true, proxy: null }, privateKey, `Key ${i + 1}`));
+  }
+  try {
+    const accounts = [];
+    for (const [i, entry] of (await readAccountsFile(config.accountsFile)).entries()) {
+      accounts.push(...await expandEntry(entry, `account ${i + 1}`));
+    }
+    const disabled = accounts.filter(account => !account.enabled).length;
+    logger.info(`Loaded ${accounts.length} account${accounts.length === 1 ? '' : 's'} from ${config.accountsFile}${disabled ? ` (${disabled} disabled)` : ''}`, { emoji: '📄 ' });
+    return accounts;
+  } catch (error) {
+    logger.error(`Failed to read accounts: ${error.message}`, { emoji: '❌ ' });
+    return [];
+  }
+}
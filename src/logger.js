@@ -0,0 +1,148 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import ProgressBar from 'progress';
+import { createWriteStream } from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { stripAnsi } from './utils.js';
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_STYLES = {
+  debug: { label: chalk.gray('DEBUG'), emoji: '🔍 ' },
+  info: { label: chalk.green('INFO'), emoji: 'ℹ️  ' },
+  warn: { label: chalk.yellow('WARN'), emoji: '⚠️ ' },
+  error: { label: chalk.red('ERROR'), emoji: '❌ ' }
+};
+
+const logFields = new AsyncLocalStorage();
+const outputBuffer = new AsyncLocalStorage();
+
+function redact(text) {
+  return String(text)
+    .replace(/\b(0x)?[0-9a-fA-F]{64}\b/g, '[REDACTED]')
+    .replace(/(Bearer\s+)[^\s"',]+/gi, '$1[REDACTED]');
+}
+
+function writePretty(stream, text) {
+  const buffer = outputBuffer.getStore();
+  if (buffer) {
+    buffer.push({ stream, text });
+  } else {
+    stream.write(text);
+  }
+}
+
+function prettySink(stream = process.stdout, minLevel = 'info') {
+  return {
+    pretty: true,
+    stream,
+    minLevel,
+    write(record) {
+      const timestamp = record.timestamp.slice(0, 19).replace('T', ' ');
+      const style = LOG_STYLES[record.level];
+      const emoji = record.emoji || style.emoji;
+      const context = record.context ? `[${record.context}] ` : '';
+      writePretty(stream, `[ ${chalk.gray(timestamp)} ] ${emoji}${style.label} ${chalk.white(context.padEnd(20))}${chalk.white(record.msg)}\n`);
+    }
+  };
+}
+
+function jsonSink(stream = process.stdout, minLevel = 'debug') {
+  return {
+    pretty: false,
+    stream,
+    minLevel,
+    write(record) {
+      const { emoji, ...fields } = record;
+      stream.write(`${JSON.stringify({ ...fields, msg: stripAnsi(fields.msg).trim() })}\n`);
+    }
+  };
+}
+
+export const logger = {
+  sinks: [prettySink()],
+  log(level, msg, options = {}) {
+    const { emoji, skipPretty, ...fields } = { ...logFields.getStore(), ...options };
+    const record = { timestamp: new Date().toISOString(), level, msg: redact(msg) };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null) {
+        record[key] = typeof value === 'string' ? redact(value) : value;
+      }
+    }
+    record.emoji = emoji;
+    for (const sink of this.sinks) {
+      if (LOG_LEVELS[level] < LOG_LEVELS[sink.minLevel] || (skipPretty && sink.pretty)) continue;
+      sink.write(record);
+    }
+  },
+  debug: (msg, options) => logger.log('debug', msg, options),
+  info: (msg, options) => logger.log('info', msg, options),
+  warn: (msg, options) => logger.log('warn', msg, options),
+  error: (msg, options) => logger.log('error', msg, options),
+  withFields(fields, fn) {
+    return logFields.run({ ...logFields.getStore(), ...fields }, fn);
+  },
+  setFields(fields) {
+    Object.assign(logFields.getStore() || {}, fields);
+  },
+  hasPrettyOutput() {
+    return this.sinks.some(sink => sink.pretty);
+  },
+  print(text = '') {
+    for (const sink of this.sinks) {
+      if (sink.pretty) writePretty(sink.stream, `${text}\n`);
+    }
+  },
+  async buffered(enabled, fn) {
+    if (!enabled) return fn();
+    const buffer = [];
+    try {
+      return await outputBuffer.run(buffer, fn);
+    } finally {
+      for (const { stream, text } of buffer) stream.write(text);
+    }
+  }
+};
+
+export function isInteractive() {
+  if (outputBuffer.getStore()) return false;
+  return logger.sinks.some(sink => sink.pretty && sink.stream === process.stdout) && Boolean(process.stdout.isTTY);
+}
+
+export function createSpinner(text) {
+  const interactive = isInteractive();
+  const spinner = interactive ? ora(text).start() : null;
+  const finish = (method, level) => (msg, options = {}) => {
+    if (spinner) spinner[method](msg);
+    logger.log(level, stripAnsi(msg).trim(), { ...options, skipPretty: interactive });
+  };
+  return {
+    stop: () => spinner?.stop(),
+    succeed: finish('succeed', 'info'),
+    warn: finish('warn', 'warn'),
+    fail: finish('fail', 'error')
+  };
+}
+
+export function createProgressBar(total) {
+  if (!isInteractive()) return { tick() {}, terminate() {} };
+  return new ProgressBar('Processing [:bar] :percent :etas', {
+    complete: '█',
+    incomplete: '░',
+    width: 30,
+    total
+  });
+}
+
+export function configureLogger({ logFormat = 'pretty', logLevel = 'info', logFile = null }) {
+  if (!LOG_LEVELS[logLevel]) {
+    throw new Error(`Unknown log level: ${logLevel}`);
+  }
+  if (logFormat !== 'pretty' && logFormat !== 'json') {
+    throw new Error(`Unknown log format: ${logFormat}`);
+  }
+  const sinks = [logFormat === 'json' ? jsonSink(process.stdout, logLevel) : prettySink(process.stdout, logLevel)];
+  if (logFile) {
+    sinks.push(jsonSink(createWriteStream(logFile, { flags: 'a', mode: 0o600 }), 'debug'));
+  }
+  logger.sinks = sinks;
+}
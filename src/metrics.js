@@ -0,0 +1,172 @@
+import http from 'http';
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function createSeries() {
+  const series = new Map();
+  return {
+    get(labels, create) {
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) series.set(key, { labels, ...create() });
+      return series.get(key);
+    },
+    values: () => [...series.values()]
+  };
+}
+
+function counter(name, help, initial = null) {
+  const series = createSeries();
+  if (initial) series.get(initial, () => ({ value: 0 }));
+  return {
+    inc(labels = {}, by = 1) {
+      series.get(labels, () => ({ value: 0 })).value += by;
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...series.values().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    ]
+  };
+}
+
+function gauge(name, help) {
+  const series = createSeries();
+  return {
+    set(labels, value) {
+      series.get(labels, () => ({ value: 0 })).value = value;
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      ...series.values().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    ]
+  };
+}
+
+function histogram(name, help, buckets) {
+  const series = createSeries();
+  return {
+    observe(labels, value) {
+      const entry = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...series.values().flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    ]
+  };
+}
+
+/**
+ * In-process metrics for the long-running mode. The runner feeds it client events
+ * and account reports; `render()` produces the Prometheus text format.
+ */
+export function createMetrics() {
+  const loginAttempts = counter('openverse_login_attempts_total', 'Login attempts, including relogins', {});
+  const loginFailures = counter('openverse_login_failures_total', 'Login attempts that failed', {});
+  const tasks = counter('openverse_tasks_total', 'Task completion attempts by category and outcome');
+  const requestDuration = histogram('openverse_request_duration_seconds', 'Openverse API request latency per attempt', LATENCY_BUCKETS);
+  const retries = counter('openverse_request_retries_total', 'Retried Openverse API requests by error kind');
+  const cycleDuration = gauge('openverse_last_cycle_duration_seconds', 'Duration of the last finished cycle');
+  const cycleFinishedAt = gauge('openverse_last_cycle_finished_timestamp_seconds', 'Unix time the last cycle finished');
+  const cycleAccounts = gauge('openverse_last_cycle_accounts', 'Accounts processed in the last cycle by result');
+  const points = gauge('openverse_account_points', 'Points per address as reported by /api/user');
+  const all = [loginAttempts, loginFailures, tasks, requestDuration, retries, cycleDuration, cycleFinishedAt, cycleAccounts, points];
+
+  const health = { running: false, startedAt: null, lastCycle: null, nextRunAt: null };
+
+  return {
+    observeClient(client) {
+      client.on('login', () => loginAttempts.inc());
+      client.on('login_failed', () => {
+        loginAttempts.inc();
+        loginFailures.inc();
+      });
+      client.on('request', ({ method, endpoint, duration }) => {
+        requestDuration.observe({ method: method.toUpperCase(), endpoint }, duration / 1000);
+      });
+      client.on('retry', ({ endpoint, kind }) => retries.inc({ endpoint, kind }));
+    },
+    recordAccount(report) {
+      for (const task of report.tasks) {
+        tasks.inc({ category: task.category, outcome: task.outcome });
+      }
+      const point = report.pointsAfter ?? report.pointsBefore;
+      if (report.address && point !== null) {
+        points.set({ address: report.address }, Number(point));
+      }
+    },
+    cycleStarted() {
+      health.running = true;
+      health.startedAt = new Date().toISOString();
+    },
+    cycleFinished(run) {
+      const failed = run.accounts.filter(account => account.error).length;
+      health.running = false;
+      health.lastCycle = {
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        accounts: run.accounts.length,
+        failedAccounts: failed
+      };
+      cycleDuration.set({}, (Date.parse(run.finishedAt) - Date.parse(run.startedAt)) / 1000);
+      cycleFinishedAt.set({}, Date.parse(run.finishedAt) / 1000);
+      cycleAccounts.set({ result: 'ok' }, run.accounts.length - failed);
+      cycleAccounts.set({ result: 'failed' }, failed);
+    },
+    setNextRun(time) {
+      health.nextRunAt = time ? new Date(time).toISOString() : null;
+    },
+    render: () => `${all.flatMap(metric => metric.render()).join('\n')}\n`,
+    health() {
+      return {
+        status: 'ok',
+        running: health.running,
+        lastCycleFinished: health.lastCycle !== null && !health.running,
+        currentCycleStartedAt: health.running ? health.startedAt : null,
+        lastCycle: health.lastCycle,
+        nextRunAt: health.nextRunAt
+      };
+    }
+  };
+}
+
+/** Serves `/metrics` (Prometheus text format) and `/healthz` (JSON). */
+export function startMetricsServer(metrics, { port, host = '127.0.0.1' }) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') {
+      res.writeHead(405).end();
+    } else if (pathname === '/metrics') {
+      res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' }).end(metrics.render());
+    } else if (pathname === '/healthz') {
+      res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(metrics.health()));
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
@@ -0,0 +1,118 @@
+import { requestWithRetry } from './http.js';
+
+export const NOTIFY_EVENTS = ['cycle_summary', 'account_failure'];
+
+const DISCORD_LIMIT = 2000;
+const TELEGRAM_LIMIT = 4096;
+const NOTIFY_POLICY = { retries: 3, backoff: 1000, maxBackoff: 10000, deadline: 30000, timeout: 10000 };
+
+function shortAddress(address) {
+  return address ? `${address.slice(0, 6)}…${address.slice(-4)}` : 'unknown address';
+}
+
+function describeAccount({ index, label, address }) {
+  return `${index} (${label ? `${label}, ` : ''}${shortAddress(address)})`;
+}
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+/** Plain-text rendering shared by the chat sinks. */
+export function formatNotification(event) {
+  if (event.event === 'cycle_summary') {
+    const lines = [
+      `Openverse cycle finished: ${event.accounts} account${event.accounts === 1 ? '' : 's'}, ${event.ok} OK, ${event.failed} failed, ${event.pointsGained >= 0 ? '+' : ''}${event.pointsGained} points`
+    ];
+    for (const account of event.failedAccounts) {
+      lines.push(`- Account ${describeAccount(account)}: ${account.error}`);
+    }
+    return lines.join('\n');
+  }
+  if (event.event === 'account_failure') {
+    return `Openverse account ${describeAccount(event)} failed ${event.consecutiveFailures} cycles in a row: ${event.error}`;
+  }
+  return JSON.stringify(event);
+}
+
+function requireString(options, key, type) {
+  if (typeof options[key] !== 'string' || !options[key]) {
+    throw new Error(`${type} notification sink needs ${key}`);
+  }
+  return options[key];
+}
+
+const SINK_TYPES = {
+  webhook(options) {
+    const url = requireString(options, 'url', 'webhook');
+    const headers = { 'content-type': 'application/json', ...options.headers };
+    return event => ({ url, payload: event, headers });
+  },
+  telegram(options) {
+    const botToken = requireString(options, 'botToken', 'telegram');
+    if (options.chatId === undefined || options.chatId === null || options.chatId === '') {
+      throw new Error('telegram notification sink needs chatId');
+    }
+    const apiUrl = (options.apiUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+    return event => ({
+      url: `${apiUrl}/bot${botToken}/sendMessage`,
+      payload: { chat_id: options.chatId, text: truncate(formatNotification(event), TELEGRAM_LIMIT), disable_web_page_preview: true }
+    });
+  },
+  discord(options) {
+    const url = requireString(options, 'url', 'discord');
+    return event => ({
+      url,
+      payload: { username: options.username || 'Openverse Bot', content: truncate(formatNotification(event), DISCORD_LIMIT) }
+    });
+  }
+};
+
+function createSink(options, i) {
+  if (!options || typeof options !== 'object') {
+    throw new Error(`notifications.sinks[${i}] must be an object`);
+  }
+  const build = SINK_TYPES[options.type];
+  if (!build) {
+    throw new Error(`notifications.sinks[${i}].type must be one of ${Object.keys(SINK_TYPES).join(', ')}`);
+  }
+  const events = options.events ?? NOTIFY_EVENTS;
+  const unknown = [].concat(events).filter(event => !NOTIFY_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`notifications.sinks[${i}] has unknown events: ${unknown.join(', ')} (expected ${NOTIFY_EVENTS.join(', ')})`);
+  }
+  return { name: options.name || `${options.type}#${i + 1}`, events: [].concat(events), request: build(options) };
+}
+
+/**
+ * Builds the notifier from the `notifications` config: a list of sinks, each limited
+ * to some event types, plus the number of consecutive failed cycles that triggers
+ * an account_failure alert. Delivery errors are returned, never thrown.
+ */
+export function createNotifier(spec, policy = NOTIFY_POLICY) {
+  const { sinks = [], failureThreshold = 3 } = spec || {};
+  if (!Array.isArray(sinks)) {
+    throw new Error('notifications.sinks must be a list');
+  }
+  if (!Number.isInteger(failureThreshold) || failureThreshold < 1) {
+    throw new Error('notifications.failureThreshold must be a positive integer');
+  }
+  const targets = sinks.map(createSink);
+  return {
+    failureThreshold,
+    enabled: targets.length > 0,
+    async notify(event) {
+      const results = [];
+      for (const sink of targets.filter(target => target.events.includes(event.event))) {
+        const { url, payload, headers } = sink.request(event);
+        try {
+          await requestWithRetry('post', url, payload, { headers }, policy);
+          results.push({ sink: sink.name, ok: true, error: null });
+        } catch (error) {
+          results.push({ sink: sink.name, ok: false, error: error.status ? `HTTP ${error.status}` : error.code || error.message });
+        }
+      }
+      return results;
+    }
+  };
+}
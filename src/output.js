@@ -0,0 +1,120 @@
+import chalk from 'chalk';
+import cfonts from 'cfonts';
+import gradient from 'gradient-string';
+import { logger } from './logger.js';
+import { stripAnsi } from './utils.js';
+
+export function centerText(text, width) {
+  const cleanText = stripAnsi(text);
+  const textLength = cleanText.length;
+  const totalPadding = Math.max(0, width - textLength);
+  const leftPadding = Math.floor(totalPadding / 2);
+  const rightPadding = totalPadding - leftPadding;
+  return `${' '.repeat(leftPadding)}${text}${' '.repeat(rightPadding)}`;
+}
+
+export function printHeader(title) {
+  const width = 80;
+  logger.print(gradient.morning(`┬${'─'.repeat(width - 2)}┬`));
+  logger.print(gradient.morning(`│ ${title.padEnd(width - 4)} │`));
+  logger.print(gradient.morning(`┴${'─'.repeat(width - 2)}┴`));
+}
+
+export function printInfo(label, value, context) {
+  logger.info(`${label.padEnd(15)}: ${chalk.cyan(value)}`, { emoji: '📍 ', context });
+}
+
+export function printBanner() {
+  if (!logger.hasPrettyOutput()) return;
+  const terminalWidth = process.stdout.columns || 80;
+  cfonts.say('NT EXHAUST', {
+    font: 'block',
+    align: 'center',
+    colors: ['cyan', 'magenta'],
+    background: 'transparent',
+    letterSpacing: 1,
+    lineHeight: 1,
+    space: true
+  });
+  logger.print(gradient.retro(centerText('=== Bot Openverse Auto Complete Daily Task ===', terminalWidth)));
+  logger.print('\n');
+}
+
+function fitCell(text, width) {
+  const value = String(text ?? '');
+  return value.length > width ? `${value.slice(0, width - 3)}...` : value.padEnd(width);
+}
+
+/** Rows are `{ cells, color }`; a cell may be `{ text, color }` to colour just that cell. */
+function printTable(titles, widths, rows) {
+  const line = chalk.cyanBright(`+${widths.map(width => '-'.repeat(width + 2)).join('+')}+`);
+  const header = `| ${titles.map((title, i) => fitCell(title, widths[i])).join(' | ')} |`;
+  const body = rows.map(({ cells, color = text => text }) => color(`| ${cells.map((cell, i) => {
+    if (cell && typeof cell === 'object') return cell.color(fitCell(cell.text, widths[i]));
+    return fitCell(cell, widths[i]);
+  }).join(' | ')} |`));
+  logger.print([line, chalk.cyanBright(header), line, ...body, line].join('\n'));
+}
+
+export function formatCheckTable(rows) {
+  printTable(['Check', 'Target', 'Result', 'Detail'], [10, 42, 6, 40], rows.map(row => ({
+    cells: [
+      row.check,
+      row.target,
+      row.ok ? { text: 'PASS', color: chalk.greenBright } : { text: 'FAIL', color: chalk.redBright },
+      row.detail
+    ]
+  })));
+}
+
+export function formatTaskTable(tasks, context) {
+  if (!logger.hasPrettyOutput()) return;
+  logger.print('\n');
+  logger.info('Task List:', { context, emoji: '📋 ' });
+  logger.print('\n');
+  printTable(['Task Name', 'Category', 'Point', 'Status'], [20, 12, 5, 9], tasks.map(task => ({
+    cells: [
+      typeof task.title === 'string' && task.title ? task.title : 'Unknown Task',
+      task.category || 'N/A',
+      task.points || 0,
+      task.status === 'completed' ? { text: 'Completed', color: chalk.greenBright } : { text: 'Pending', color: chalk.yellowBright }
+    ]
+  })));
+  logger.print('\n');
+}
+
+function formatDelta(value) {
+  if (value === null) return '-';
+  return value > 0 ? `+${value}` : String(value);
+}
+
+export function formatStatsTables(summary) {
+  const days = summary.days.map(day => day.slice(5));
+  const dayWidths = days.map(() => 6);
+
+  printTable(['Address', 'Points', 'Runs', 'Last run', 'Last earned', 'Status'], [42, 8, 5, 16, 16, 8], summary.accounts.map(account => ({
+    cells: [
+      account.address,
+      account.points ?? '-',
+      account.runs,
+      account.lastRun.slice(0, 16).replace('T', ' '),
+      account.lastEarned ? account.lastEarned.slice(0, 16).replace('T', ' ') : 'never',
+      account.stalled ? { text: 'STALLED', color: chalk.yellowBright } : { text: 'OK', color: chalk.greenBright }
+    ]
+  })));
+  logger.print('\n');
+
+  const shortAddress = address => `${address.slice(0, 6)}…${address.slice(-4)}`;
+  printTable(['Daily points', ...days], [12, ...dayWidths], [
+    ...summary.daily.map(row => ({ cells: [shortAddress(row.address), ...row.deltas.map(formatDelta)] })),
+    { cells: ['Total', ...summary.dailyTotals.map(formatDelta)], color: chalk.bold }
+  ]);
+  logger.print('\n');
+
+  if (summary.categories.length > 0) {
+    printTable(['Category', ...days], [12, ...dayWidths], summary.categories.map(row => ({
+      cells: [row.category, ...row.points.map(String)]
+    })));
+    logger.print('\n');
+  }
+}
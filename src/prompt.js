@@ -0,0 +1,31 @@
+import readline from 'readline';
+
+export async function askQuestion(query) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  return new Promise(resolve => rl.question(query, ans => {
+    rl.close();
+    resolve(ans);
+  }));
+}
+
+export async function askSecret(query) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: true
+  });
+  let muted = false;
+  rl._writeToOutput = str => {
+    if (!muted) rl.output.write(str);
+  };
+  const answer = new Promise(resolve => rl.question(query, ans => {
+    rl.output.write('\n');
+    rl.close();
+    resolve(ans);
+  }));
+  muted = true;
+  return answer;
+}
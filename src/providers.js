@@ -0,0 +1,116 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const TASK_FINISHED_MESSAGE = 'You have finished this task yet!';
+
+// The API words this answer loosely ("You have finished this task yet!", "Task already completed", ...)
+const ALREADY_DONE_PATTERN = /\b(?:already (?:been )?(?:done|finished|completed|claimed)|(?:have|has) (?:already )?finished this task)\b/i;
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * @typedef {object} TaskProvider
+ * @property {string} category                       name shown in tables and used by task filters
+ * @property {string} listPath                       GET endpoint listing the category's tasks
+ * @property {string} donePath                       POST endpoint completing one task
+ * @property {(task: object) => object} donePayload  request body for donePath
+ * @property {(body: object) => object[]} parseTasks pending tasks `{ id, title, points }` from the list response
+ * @property {(body: object) => boolean} isCompleted
+ * @property {(body: object) => boolean} isAlreadyDone
+ */
+
+function parseOpenverseTasks(body) {
+  return Object.values(body.data || {})
+    .filter(task => task.status === 1)
+    .map(task => ({ id: task.task_code, title: task.title, points: task.reward_point }));
+}
+
+const PROVIDER_DEFAULTS = {
+  donePayload: task => ({ task_code: task.id }),
+  parseTasks: parseOpenverseTasks,
+  isCompleted: body => body.res_code === 0,
+  isAlreadyDone: body => typeof body.res_msg === 'string' && ALREADY_DONE_PATTERN.test(body.res_msg)
+};
+
+/** Validates a provider definition and fills in the Openverse defaults for anything left out. */
+export function defineTaskProvider(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Task provider must be an object');
+  }
+  if (typeof spec.category !== 'string' || !spec.category) {
+    throw new Error('Task provider needs a category name');
+  }
+  for (const key of ['listPath', 'donePath']) {
+    if (typeof spec[key] !== 'string' || !spec[key].startsWith('/')) {
+      throw new Error(`Task provider ${spec.category} needs a ${key} starting with /`);
+    }
+  }
+  for (const key of Object.keys(PROVIDER_DEFAULTS)) {
+    if (spec[key] !== undefined && typeof spec[key] !== 'function') {
+      throw new Error(`Task provider ${spec.category}: ${key} must be a function`);
+    }
+  }
+  return { ...PROVIDER_DEFAULTS, ...spec };
+}
+
+export const BUILTIN_PROVIDERS = [
+  defineTaskProvider({ category: 'UserVisit', listPath: '/api/task/userVisit/all', donePath: '/api/task/userVisit/done' }),
+  defineTaskProvider({ category: 'AdvanceVisit', listPath: '/api/task/advanceVisit/all', donePath: '/api/task/advanceVisit/done' })
+];
+
+/**
+ * Ordered set of task providers keyed by category. Registering a category that
+ * already exists replaces it, so plugins can also patch the built-in providers.
+ */
+export function createTaskRegistry(providers = BUILTIN_PROVIDERS) {
+  const byCategory = new Map();
+  const registry = {
+    register(spec) {
+      const provider = defineTaskProvider(spec);
+      byCategory.set(provider.category, provider);
+      return provider;
+    },
+    get: category => byCategory.get(category) || null,
+    list: () => [...byCategory.values()],
+    categories: () => [...byCategory.keys()]
+  };
+  providers.forEach(provider => registry.register(provider));
+  return registry;
+}
+
+/**
+ * Imports every .js/.mjs file in `dir` and registers its default export: a provider,
+ * an array of providers, or a function receiving the registry. A missing directory
+ * is not an error. Returns what each file registered.
+ */
+export async function loadTaskPlugins(dir, registry) {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(file => PLUGIN_EXTENSIONS.includes(path.extname(file))).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const loaded = [];
+  for (const file of files) {
+    const fullPath = path.resolve(dir, file);
+    try {
+      const plugin = (await import(pathToFileURL(fullPath).href)).default;
+      const before = new Set(registry.list());
+      if (typeof plugin === 'function') {
+        await plugin(registry);
+      } else {
+        for (const spec of Array.isArray(plugin) ? plugin : [plugin]) {
+          registry.register(spec);
+        }
+      }
+      const categories = registry.list().filter(provider => !before.has(provider)).map(provider => provider.category);
+      loaded.push({ file, categories });
+    } catch (error) {
+      throw new Error(`Failed to load task plugin ${file}: ${error.message}`);
+    }
+  }
+  return loaded;
+}
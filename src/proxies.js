@@ -0,0 +1,18 @@
+import fs from 'fs/promises';
+import { logger } from './logger.js';
+
+export async function readProxies(file) {
+  try {
+    const data = await fs.readFile(file, 'utf-8');
+    const proxies = data.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    if (proxies.length === 0) {
+      logger.warn('No proxies found. Proceeding without proxy.', { emoji: '⚠️ ' });
+    } else {
+      logger.info(`Loaded ${proxies.length} prox${proxies.length === 1 ? 'y' : 'ies'}`, { emoji: '🌐 ' });
+    }
+    return proxies;
+  } catch (error) {
+    logger.warn(`${file} not found.`, { emoji: '⚠️ ' });
+    return [];
+  }
+}
@@ -0,0 +1,201 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { AxiosError } from 'axios';
+import { CookieJar } from 'tough-cookie';
+import { writeJsonFile } from './utils.js';
+
+const REDACTED = '[REDACTED]';
+const SECRET_HEADERS = new Set(['authorization', 'x-xsrf-token', 'x-csrf-token']);
+const SECRET_FIELDS = /^(sign|signature|access_token|token|password|private_?key)$/i;
+
+function redactCookies(value) {
+  return value.split(';').map(part => part.replace(/=.*$/, `=${REDACTED}`)).join(';');
+}
+
+function redactSetCookie(value) {
+  const [pair, ...attributes] = value.split(';');
+  const index = pair.indexOf('=');
+  return [index > 0 ? `${pair.slice(0, index)}=${REDACTED}` : pair, ...attributes].join(';');
+}
+
+/** HAR header list with bearer tokens, XSRF tokens and cookie values replaced; cookie names are kept. */
+function redactHeaders(headers = {}) {
+  const list = [];
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined || value === null) continue;
+    const lower = name.toLowerCase();
+    for (const item of [].concat(value)) {
+      let text = String(item);
+      if (lower === 'authorization') text = text.replace(/^(\w+\s+).+$/, `$1${REDACTED}`);
+      else if (SECRET_HEADERS.has(lower)) text = REDACTED;
+      else if (lower === 'cookie') text = redactCookies(text);
+      else if (lower === 'set-cookie') text = redactSetCookie(text);
+      list.push({ name: lower, value: text });
+    }
+  }
+  return list;
+}
+
+function redactBody(value) {
+  if (Array.isArray(value)) return value.map(redactBody);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, SECRET_FIELDS.test(key) && item ? REDACTED : redactBody(item)]));
+}
+
+function bodyText(data) {
+  if (data === undefined || data === null || data === '') return '';
+  if (typeof data === 'string') {
+    try {
+      return JSON.stringify(redactBody(JSON.parse(data)));
+    } catch {
+      return data;
+    }
+  }
+  return JSON.stringify(redactBody(data));
+}
+
+/** One HAR entry for a request attempt, as passed by requestWithRetry to `recorder.record`. */
+function harEntry({ method, url, headers, payload, startedAt, duration, response, error }, account) {
+  const entry = {
+    startedDateTime: new Date(startedAt).toISOString(),
+    time: duration,
+    _account: account,
+    request: {
+      method: method.toUpperCase(),
+      url,
+      httpVersion: 'HTTP/1.1',
+      headers: redactHeaders(headers),
+      queryString: [...new URL(url).searchParams].map(([name, value]) => ({ name, value })),
+      cookies: [],
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status: response?.status ?? 0,
+      statusText: response?.statusText ?? '',
+      httpVersion: 'HTTP/1.1',
+      headers: redactHeaders(response?.headers ? { ...response.headers } : {}),
+      cookies: [],
+      content: { mimeType: response?.headers?.['content-type'] ?? '', text: bodyText(response?.data) },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: { send: 0, wait: duration, receive: 0 }
+  };
+  if (payload !== null && payload !== undefined) {
+    entry.request.postData = { mimeType: 'application/json', text: bodyText(payload) };
+  }
+  if (error && !response) {
+    entry._error = { code: error.code ?? null, message: error.message };
+  }
+  return entry;
+}
+
+/**
+ * Collects every request attempt of a cycle as a HAR 1.2 log with secrets
+ * redacted: the Authorization header, cookie values, XSRF tokens, login
+ * signatures and access tokens. The log goes to `<dir>/<start time>.har`.
+ * `forAccount(address)` returns the recorder to pass to a client; entries carry
+ * the address in `_account`.
+ */
+export function createRecorder(dir, startedAt = new Date()) {
+  const stamp = startedAt.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+  const file = path.join(dir, `${stamp}.har`);
+  const entries = [];
+  return {
+    file,
+    get size() {
+      return entries.length;
+    },
+    forAccount(address) {
+      return { record: exchange => entries.push(harEntry(exchange, address)) };
+    },
+    async save() {
+      await fs.mkdir(dir, { recursive: true });
+      await writeJsonFile(file, { log: { version: '1.2', creator: { name: 'openverse-bot', version: '1.0.0' }, entries } });
+    }
+  };
+}
+
+export async function readRecording(file) {
+  const har = JSON.parse(await fs.readFile(file, 'utf-8'));
+  if (!Array.isArray(har?.log?.entries)) {
+    throw new Error(`${file} is not a HAR recording`);
+  }
+  return har.log.entries;
+}
+
+/** Addresses in the order they first appear in the recording. */
+export function recordedAccounts(entries) {
+  return [...new Set(entries.map(entry => entry._account).filter(Boolean))];
+}
+
+function parseContent(text) {
+  if (!text) return '';
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function toResponse(entry, config) {
+  const headers = {};
+  for (const { name, value } of entry.response.headers) {
+    if (name === 'set-cookie') headers[name] = [...(headers[name] ?? []), value];
+    else headers[name] = value;
+  }
+  return { status: entry.response.status, statusText: entry.response.statusText, headers, data: parseContent(entry.response.content.text), config };
+}
+
+/**
+ * Serves one account's recorded responses instead of the network. Each request
+ * takes the first unused entry with the same method and path, so retries play
+ * back in order; a request with no entry left fails. `baseUrl` is the recorded
+ * API origin. When the recording started from a cached session rather than a
+ * login, `session` is a stand-in for it to put in the session cache.
+ */
+export function createReplay(entries, address) {
+  const own = entries.filter(entry => entry._account?.toLowerCase() === address.toLowerCase());
+  if (own.length === 0) {
+    throw new Error(`The recording has no requests for ${address}`);
+  }
+  const used = new Set();
+  const pathOf = url => new URL(url).pathname;
+  const baseUrl = new URL(own[0].request.url).origin;
+  let session = null;
+  if (pathOf(own[0].request.url) !== '/sanctum/csrf-cookie') {
+    const jar = new CookieJar();
+    jar.setCookieSync(`XSRF-TOKEN=${REDACTED}; Path=/`, `${baseUrl}/`);
+    session = { accessToken: REDACTED, jar };
+  }
+
+  return {
+    address: own[0]._account,
+    baseUrl,
+    session,
+    signer: {
+      getAddress: async () => own[0]._account,
+      signMessage: async () => REDACTED
+    },
+    unused: () => own.filter(entry => !used.has(entry)),
+    async transport(config) {
+      const method = config.method.toUpperCase();
+      const entry = own.find(candidate => !used.has(candidate) && candidate.request.method === method && pathOf(candidate.request.url) === pathOf(config.url));
+      if (!entry) {
+        throw new Error(`No recorded response for ${method} ${pathOf(config.url)}`);
+      }
+      used.add(entry);
+      if (!entry.response.status) {
+        throw new AxiosError(entry._error?.message ?? 'Network Error', entry._error?.code ?? AxiosError.ERR_NETWORK, config);
+      }
+      const response = toResponse(entry, config);
+      if (response.status >= 400) {
+        throw new AxiosError(`Request failed with status code ${response.status}`, AxiosError.ERR_BAD_RESPONSE, config, null, response);
+      }
+      return response;
+    }
+  };
+}
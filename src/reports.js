@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+const REPORT_COLUMNS = [
+  'index', 'label', 'group', 'address', 'points_before', 'points_after', 'points_delta',
+  'attempted', 'completed', 'already_done', 'failed', 'failed_tasks',
+  'error', 'error_step', 'error_type', 'started_at', 'finished_at'
+];
+
+export function summarizeAccountReport(report) {
+  const count = outcome => report.tasks.filter(task => task.outcome === outcome).length;
+  const hasPoints = report.pointsBefore !== null && report.pointsAfter !== null;
+  // The failure that ended the account is always the last one recorded
+  const fatal = report.error ? report.failures?.at(-1) ?? null : null;
+  return {
+    index: report.index,
+    label: report.label ?? null,
+    group: report.group ?? null,
+    address: report.address,
+    points_before: report.pointsBefore,
+    points_after: report.pointsAfter,
+    points_delta: hasPoints ? Number(report.pointsAfter) - Number(report.pointsBefore) : null,
+    attempted: report.tasks.length,
+    completed: count('completed'),
+    already_done: count('already_done'),
+    failed: count('failed'),
+    failed_tasks: report.tasks
+      .filter(task => task.outcome === 'failed')
+      .map(task => `${task.code}: ${task.message}`)
+      .join(' | '),
+    error: report.error,
+    error_step: fatal?.step ?? null,
+    error_type: fatal?.type ?? null,
+    started_at: report.startedAt,
+    finished_at: report.finishedAt
+  };
+}
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  const lines = [REPORT_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(REPORT_COLUMNS.map(column => csvEscape(row[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export async function writeRunReport(run, reportDir) {
+  if (!reportDir) return;
+  const accounts = run.accounts.map(report => ({ ...summarizeAccountReport(report), tasks: report.tasks }));
+  const totals = {
+    accounts: accounts.length,
+    failed_accounts: accounts.filter(account => account.error).length,
+    points_delta: accounts.reduce((sum, account) => sum + (account.points_delta || 0), 0)
+  };
+  const stamp = run.startedAt.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+  const base = path.join(reportDir, stamp);
+  try {
+    await fs.mkdir(reportDir, { recursive: true });
+    await fs.writeFile(`${base}.json`, JSON.stringify({ startedAt: run.startedAt, finishedAt: run.finishedAt, totals, accounts }, null, 2));
+    await fs.writeFile(`${base}.csv`, toCsv(accounts));
+    logger.info(`Run report written to ${base}.json and ${base}.csv`, { emoji: '🧾 ' });
+  } catch (error) {
+    logger.error(`Failed to write run report: ${error.message}`, { emoji: '❌ ' });
+  }
+}
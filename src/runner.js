@@ -0,0 +1,626 @@
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { OpenverseClient } from './client.js';
+import { requestWithRetry, createRateLimiter, newAgent } from './http.js';
+import { AuthError, describeError } from './errors.js';
+import { logger, createSpinner, createProgressBar } from './logger.js';
+import { printHeader, printInfo, formatTaskTable } from './output.js';
+import { readAccounts } from './keys.js';
+import { inGroups } from './accounts.js';
+import { loadSession, saveSession, clearSession } from './sessions.js';
+import { writeRunReport, summarizeAccountReport } from './reports.js';
+import { appendHistory } from './history.js';
+import { createRecorder } from './recording.js';
+import { createSchedule, isDue, nextRunTime, recordRun, saveRunState } from './scheduler.js';
+import { compileTaskFilter, selectTasks } from './tasks.js';
+import { createTaskRegistry } from './providers.js';
+import { createCheckpoint, loadCheckpoint, saveCheckpoint, clearCheckpoint, pendingAccounts, isAccountFinished } from './checkpoint.js';
+import { delay } from './utils.js';
+
+export function getRequestPolicy(config) {
+  return {
+    retries: config.retries,
+    backoff: config.retryBackoff * 1000,
+    maxBackoff: config.retryMaxBackoff * 1000,
+    deadline: config.requestDeadline * 1000,
+    timeout: config.timeout * 1000
+  };
+}
+
+function logRequests(client) {
+  client.on('request', ({ method, endpoint, status, duration, error }) => {
+    const verb = method.toUpperCase();
+    const msg = error
+      ? `${verb} ${endpoint} failed (${error.kind}): ${error.message}`
+      : `${verb} ${endpoint} ${status}`;
+    logger.debug(msg, { endpoint, status, duration });
+  });
+  client.on('retry', ({ method, url, endpoint, kind, attempt, retries, wait }) => {
+    logger.warn(`Retrying ${method.toUpperCase()} ${url} after ${kind} error in ${(wait / 1000).toFixed(1)}s (${attempt}/${retries})`, { emoji: '🔄', endpoint });
+  });
+}
+
+async function getPublicIP(proxy, config, context) {
+  if (!config.ipCheckUrl) return 'Unknown';
+  try {
+    const agent = proxy ? newAgent(proxy) : null;
+    const response = await requestWithRetry('get', config.ipCheckUrl, null, { httpsAgent: agent, proxy: false }, {
+      ...getRequestPolicy(config),
+      onRetry: ({ kind, attempt, retries, wait }) => logger.warn(`Retrying IP check after ${kind} error in ${(wait / 1000).toFixed(1)}s (${attempt}/${retries})`, { emoji: '🔄', context })
+    });
+    return response.data.ip || 'Unknown';
+  } catch (error) {
+    logger.error(`Failed to get IP: ${error.message}`, { emoji: '❌ ', context });
+    return 'Error retrieving IP';
+  }
+}
+
+// The helpers below never throw: they return `{ ok: true, value }` or
+// `{ ok: false, error }`, where `error` is one of the typed errors from errors.js.
+
+async function login(client) {
+  const spinner = createSpinner('Logging in...');
+  try {
+    const value = await client.login();
+    spinner.stop();
+    return { ok: true, value };
+  } catch (error) {
+    spinner.fail(chalk.bold.redBright(` ${error.message}`));
+    return { ok: false, error };
+  }
+}
+
+async function fetchTasks(client) {
+  const spinner = createSpinner('Fetching tasks...');
+  try {
+    const value = await client.listTasks();
+    spinner.stop();
+    return { ok: true, value };
+  } catch (error) {
+    spinner.fail(chalk.bold.redBright(` Failed to fetch tasks: ${error.message}`));
+    return { ok: false, error };
+  }
+}
+
+/** `value` is the TaskResult; a task the server reports as already done counts as ok. */
+async function completeTask(client, task) {
+  const spinner = createSpinner(`Completing ${task.title}...`);
+  try {
+    const value = await client.completeTask(task);
+    if (value.status === 'completed') {
+      spinner.succeed(chalk.bold.greenBright(` Task Completed ${task.title} [${task.category}]`));
+      return { ok: true, value };
+    } else if (value.status === 'already_done') {
+      spinner.succeed(chalk.bold.greenBright(` Task ${task.title} Already Done [ ${task.category} ]`));
+      return { ok: true, value };
+    }
+    spinner.warn(chalk.bold.yellowBright(`Failed to complete ${task.title}: ${value.resMsg}`));
+    return { ok: false, value, error: value.error };
+  } catch (error) {
+    spinner.fail(chalk.bold.redBright(` Failed to complete ${task.title}: ${error.message}`));
+    return { ok: false, error };
+  }
+}
+
+async function fetchUserInfo(client) {
+  const spinner = createSpinner('Fetching user info...');
+  try {
+    const value = await client.getUser();
+    spinner.succeed(chalk.bold.greenBright(` Fetched User: ${value.address}`));
+    return { ok: true, value };
+  } catch (error) {
+    spinner.fail(chalk.bold.redBright(` Failed to fetch user info: ${error.message}`));
+    return { ok: false, error };
+  }
+}
+
+/** Adds a failed step to `report.failures`: `{ step, task?, type, kind, endpoint, status, resCode, resMsg, message }`. */
+function recordFailure(report, step, error, task = null) {
+  report.failures.push({ step, ...(task ? { task: task.id } : {}), ...describeError(error) });
+}
+
+/** "Account 3/40", or the account's label with its position, e.g. "alice-main 3/40". */
+function accountContext({ index, total, label = null }) {
+  return `${label || 'Account'} ${index + 1}/${total}`;
+}
+
+/**
+ * Runs every pending task of one account and returns its report. The account
+ * signs with `account.signer`, or with a wallet built from `account.privateKey`.
+ * Never throws: the error that ended the account is in `report.error`, and every
+ * failed step (login, user, tasks, task, stats) is listed with its error type,
+ * endpoint, status, `res_code` and `res_msg` in `report.failures`. When `signal`
+ * aborts, the account stops before its next task and the report is marked
+ * `interrupted`. A `resume` report from an interrupted run carries over its
+ * tasks and starting points, and `onProgress` is awaited with the report after
+ * every task. API requests go to `recorder` (see recording.js), and `transport`
+ * replaces the network, e.g. with a replay.
+ */
+export async function processAccount(account, { config, rateLimiter = null, registry, metrics = null, dashboard = null, signal = null, resume = null, onProgress = null, recorder = null, transport = null }) {
+  const { privateKey, signer = null, proxy = null, label = null, group = null, taskFilter, taskOrder } = account;
+  const context = accountContext(account);
+  const report = {
+    index: account.index + 1,
+    label,
+    group,
+    address: null,
+    pointsBefore: resume?.pointsBefore ?? null,
+    pointsAfter: null,
+    tasks: (resume?.tasks ?? []).filter(task => task.outcome !== 'failed'),
+    error: null,
+    failures: [],
+    startedAt: resume?.startedAt ?? new Date().toISOString(),
+    finishedAt: null
+  };
+  const options = {
+    config: { ...config, taskFilter: taskFilter ?? config.taskFilter, taskOrder: taskOrder ?? config.taskOrder },
+    rateLimiter,
+    registry,
+    metrics,
+    signal,
+    recorder,
+    transport,
+    onProgress: onProgress ?? (() => {}),
+    show: patch => dashboard?.updateAccount(report.index, patch),
+    whilePaused: () => dashboard?.whilePaused(signal)
+  };
+  try {
+    await logger.withFields({ context }, () => runAccount(signer ?? new ethers.Wallet(privateKey), proxy, context, options, report));
+  } catch (error) {
+    report.error = error.message;
+    recordFailure(report, 'account', error);
+    logger.error(`Error processing account: ${error.message}`, { emoji: '❌ ', context });
+  }
+  report.finishedAt = new Date().toISOString();
+  return report;
+}
+
+async function runAccount(signer, proxy, context, { config, rateLimiter, registry, metrics, signal, recorder, transport, onProgress, show, whilePaused }, report) {
+  logger.info(chalk.bold.magentaBright(`Starting account processing`), { emoji: '🚀 ', context });
+
+  printHeader(`Account Info ${context}`);
+  const address = await signer.getAddress();
+  report.address = address;
+  logger.setFields({ address });
+  show({ state: 'logging in', address });
+
+  const cached = await loadSession(config.sessionDir, address);
+  const client = new OpenverseClient(signer, {
+    ...getRequestPolicy(config),
+    baseUrl: config.baseUrl,
+    proxy,
+    session: cached,
+    rateLimiter,
+    registry,
+    signal,
+    recorder: recorder?.forAccount(address),
+    transport
+  });
+  logRequests(client);
+  metrics?.observeClient(client);
+  // A cached or a fresh session may expire mid-run; log in again once per run
+  client.on('relogin', () => {
+    logger.warn('Session expired, logging in again', { emoji: '🔑 ', context });
+    client.autoRelogin = false;
+  });
+
+  if (cached) {
+    logger.info('Reusing cached session', { emoji: '💾 ', context });
+    await client.ensureCsrfCookie();
+  } else {
+    const loginResult = await login(client);
+    if (!loginResult.ok) {
+      report.error = loginResult.error.message;
+      recordFailure(report, 'login', loginResult.error);
+      logger.error(`Skipping account: ${loginResult.error.message}`, { emoji: '❌ ', context });
+      return;
+    }
+    await saveSession(config.sessionDir, address, client.session);
+  }
+
+  const ip = await getPublicIP(proxy, config, context);
+  printInfo('Address', address, context);
+  printInfo('IP', ip, context);
+  logger.print('\n');
+
+  show({ state: 'fetching tasks' });
+  const userBefore = await fetchUserInfo(client);
+  if (userBefore.ok) {
+    report.pointsBefore ??= userBefore.value.point;
+    printInfo('Point', userBefore.value.point, context);
+    show({ points: userBefore.value.point });
+  } else {
+    recordFailure(report, 'user', userBefore.error);
+  }
+
+  const tasksResult = await fetchTasks(client);
+  if (!tasksResult.ok) {
+    if (tasksResult.error instanceof AuthError) await clearSession(config.sessionDir, address);
+    report.error = `Failed: ${tasksResult.error.message}`;
+    recordFailure(report, 'tasks', tasksResult.error);
+    logger.error(`Skipping account due to tasks error: ${report.error}`, { context });
+    return;
+  }
+
+  // The server only lists pending tasks, so a resumed task it still lists was not done after all
+  const listed = new Set(tasksResult.value.map(task => task.id));
+  report.tasks = report.tasks.filter(task => !listed.has(task.code));
+  const { selected: tasks, skipped } = selectTasks(tasksResult.value, config.taskFilter, config.taskOrder);
+  await saveSession(config.sessionDir, address, client.session);
+  if (report.tasks.length > 0) {
+    logger.info(`Resuming with ${report.tasks.length} task${report.tasks.length === 1 ? '' : 's'} already done in this cycle`, { emoji: '⏯️ ', context });
+  }
+  if (skipped.length > 0) {
+    logger.info(`Skipping ${skipped.length} task${skipped.length === 1 ? '' : 's'} excluded by the task filter`, { emoji: '⏭️ ', context });
+    for (const task of skipped) {
+      logger.debug(`Skipped ${task.id} (${task.title}, ${task.points} points)`, { context, task: task.id });
+    }
+  }
+
+  if (config.dryRun) {
+    const points = tasks.reduce((sum, task) => sum + Number(task.points || 0), 0);
+    formatTaskTable(tasks, context);
+    logger.info(`Dry run: would complete ${tasks.length} task${tasks.length === 1 ? '' : 's'} for ${points} points`, { emoji: '🧪 ', context });
+    return;
+  }
+
+  if (tasks.length === 0) {
+    logger.warn('No tasks available', { emoji: '⚠️ ', context });
+  } else {
+    const bar = createProgressBar(tasks.length);
+    show({ state: 'tasks', tasksDone: 0, tasksTotal: tasks.length });
+
+    let completedTasks = 0;
+    for (const [i, task] of tasks.entries()) {
+      await whilePaused();
+      if (signal?.aborted) {
+        bar.terminate();
+        report.interrupted = true;
+        await saveSession(config.sessionDir, address, client.session);
+        logger.warn(`Stopping with ${tasks.length - i} task${tasks.length - i === 1 ? '' : 's'} left`, { emoji: '⏹️ ', context });
+        return;
+      }
+      const taskContext = `${context}|T${task.id.slice(-6)}`;
+      const result = await logger.withFields({ task: task.id, context: taskContext }, () => completeTask(client, task));
+      if (result.ok) {
+        task.status = 'completed';
+        completedTasks++;
+      } else {
+        recordFailure(report, 'task', result.error, task);
+      }
+      report.tasks.push({
+        code: task.id,
+        title: task.title,
+        category: task.category,
+        points: task.points,
+        outcome: result.value?.status ?? 'failed',
+        message: result.value?.resMsg ?? `Failed: ${result.error.message}`
+      });
+      bar.tick();
+      show({ tasksDone: i + 1 });
+      await onProgress(report);
+      await delay(config.taskDelay, signal);
+    }
+    await saveSession(config.sessionDir, address, client.session);
+
+    formatTaskTable(tasks, context);
+    logger.info(`Processed ${tasks.length} tasks: ${completedTasks} completed`, { emoji: '📊', context });
+  }
+
+  printHeader(`Account Stats ${context}`);
+  const userInfoResult = await fetchUserInfo(client);
+  if (!userInfoResult.ok) {
+    report.error = `Failed: ${userInfoResult.error.message}`;
+    recordFailure(report, 'stats', userInfoResult.error);
+    logger.error(`Skipping stats due to error: ${report.error}`, { context });
+    return;
+  }
+  const user = userInfoResult.value;
+  report.pointsAfter = user.point;
+  show({ points: user.point });
+  printInfo('Address', user.address, context);
+  printInfo('Total Point', user.point, context);
+  if (report.pointsBefore !== null) {
+    printInfo('Earned', Number(user.point) - Number(report.pointsBefore), context);
+  }
+  await saveSession(config.sessionDir, address, client.session);
+
+  logger.info(chalk.bold.greenBright(`Completed account processing`), { emoji: '🎉 ', context });
+}
+
+function cycleSummaryEvent(run) {
+  const accounts = run.accounts.map(summarizeAccountReport);
+  const failed = accounts.filter(account => account.error);
+  return {
+    event: 'cycle_summary',
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    accounts: accounts.length,
+    ok: accounts.length - failed.length,
+    failed: failed.length,
+    pointsGained: accounts.reduce((sum, account) => sum + (account.points_delta || 0), 0),
+    failedAccounts: failed.map(({ index, label, address, error, error_type: errorType }) => ({ index, label, address, error, errorType }))
+  };
+}
+
+async function sendNotification(notifier, event) {
+  for (const result of await notifier.notify(event)) {
+    if (result.ok) {
+      logger.debug(`Sent ${event.event} notification to ${result.sink}`);
+    } else {
+      logger.warn(`Failed to send ${event.event} notification to ${result.sink}: ${result.error}`, { emoji: '📭 ' });
+    }
+  }
+}
+
+export async function runPool(items, concurrency, worker, gap = 0, signal = null) {
+  let next = 0;
+  const runWorker = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const item = items[next++];
+      try {
+        await worker(item);
+      } catch (error) {
+        logger.error(`Worker error: ${error.message}`, { emoji: '❌ ' });
+      }
+      if (gap && next < items.length) {
+        await delay(gap, signal);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, runWorker));
+}
+
+/** The cycle report of a retried account: what it did before it failed, then the retry. */
+function mergeRetry(failed, retry) {
+  return {
+    ...retry,
+    pointsBefore: failed.pointsBefore ?? retry.pointsBefore,
+    tasks: [...failed.tasks.filter(task => task.outcome !== 'failed'), ...retry.tasks],
+    startedAt: failed.startedAt
+  };
+}
+
+async function resumeCheckpoint(config, schedule, addresses, selected) {
+  let checkpoint;
+  try {
+    checkpoint = await loadCheckpoint(config.checkpointFile);
+  } catch (error) {
+    // A checkpoint cut short by a crash must not stop every later start; the cycle just starts over
+    logger.warn(`${error.message}. Discarding it and starting a new cycle`, { emoji: '🗑️ ' });
+    await clearCheckpoint(config.checkpointFile);
+    return null;
+  }
+  if (!checkpoint) return null;
+  // Tasks reset with every slot, so a cycle from an earlier slot is not worth finishing
+  const startedAt = Date.parse(checkpoint.startedAt);
+  if (!Number.isFinite(startedAt) || (schedule ?? createSchedule(config)).nextRunAfter(startedAt) <= Date.now()) {
+    logger.warn(`Discarding the checkpoint of the cycle started at ${checkpoint.startedAt}, a new cycle is due`, { emoji: '🗑️ ' });
+    await clearCheckpoint(config.checkpointFile);
+    return null;
+  }
+  const pending = new Set(pendingAccounts(checkpoint));
+  const due = selected.filter(i => pending.has(addresses[i].toLowerCase()));
+  logger.info(`Resuming the cycle started at ${checkpoint.startedAt}: ${due.length} of ${checkpoint.accounts.length} accounts left`, { emoji: '⏯️ ' });
+  return { checkpoint, due };
+}
+
+/**
+ * Runs one cycle over the selected accounts. With `dueOnly`, accounts whose last
+ * success is still within the current schedule slot are skipped. Progress is kept
+ * in `config.checkpointFile`, so a cycle stopped through `signal` (or killed)
+ * resumes with the accounts and tasks it had left. Returns the run report (null
+ * if nothing ran or the cycle was interrupted) and when the next account becomes due.
+ */
+export async function runCycle({ config, proxies = [], schedule = null, state = null, registry, notifier = null, metrics = null, dashboard = null, signal = null }, { dueOnly = false } = {}) {
+  const accounts = await readAccounts(config);
+  if (accounts.length === 0) {
+    logger.error('No private keys found. Exiting cycle.', { emoji: '❌ ' });
+    return { run: null, nextRunAt: null };
+  }
+
+  try {
+    const categories = (registry ?? createTaskRegistry()).categories();
+    accounts.forEach((account, i) => compileTaskFilter(account.taskFilter, `account ${i + 1}.taskFilter`, categories));
+  } catch (error) {
+    logger.error(`Failed to read accounts: ${error.message}`, { emoji: '❌ ' });
+    return { run: null, nextRunAt: null };
+  }
+
+  const addresses = accounts.map(account => account.address);
+  const selected = accounts
+    .map((account, i) => i)
+    .filter(i => accounts[i].enabled && addresses[i])
+    .filter(i => !config.accounts || config.accounts.has(i))
+    .filter(i => inGroups(accounts[i], config.group));
+  if (selected.length === 0) {
+    logger.warn('No enabled accounts match the account and group selection.', { emoji: '⚠️ ' });
+    return { run: null, nextRunAt: null };
+  }
+  const nextRunAt = () => schedule && state ? nextRunTime(schedule, state, selected.map(i => addresses[i])) : null;
+
+  const checkpointFile = config.dryRun ? null : config.checkpointFile;
+  const resumed = checkpointFile ? await resumeCheckpoint(config, schedule, addresses, selected) : null;
+  let due;
+  if (resumed) {
+    due = resumed.due;
+  } else {
+    due = dueOnly && schedule && state
+      ? selected.filter(i => isDue(schedule, state.accounts[addresses[i].toLowerCase()]))
+      : selected;
+    if (due.length === 0) {
+      logger.info('No accounts are due yet.', { emoji: '⏳ ' });
+      return { run: null, nextRunAt: nextRunAt() };
+    }
+    if (due.length < selected.length) {
+      logger.info(`${due.length} of ${selected.length} accounts are due`, { emoji: '⏰ ' });
+    }
+  }
+
+  const run = { startedAt: new Date().toISOString(), finishedAt: null, accounts: [] };
+  const checkpoint = resumed?.checkpoint ?? createCheckpoint(run.startedAt, due.map(i => addresses[i]));
+  const saveProgress = async () => {
+    if (!checkpointFile) return;
+    await saveCheckpoint(checkpointFile, checkpoint).catch(error => {
+      logger.error(`Failed to save ${checkpointFile}: ${error.message}`, { emoji: '❌ ' });
+    });
+  };
+  if (resumed) {
+    run.startedAt = checkpoint.startedAt;
+    run.accounts = checkpoint.accounts
+      .filter(address => isAccountFinished(checkpoint, address))
+      .map(address => checkpoint.reports[address]);
+  } else {
+    await saveProgress();
+  }
+
+  const recorder = config.recordDir ? createRecorder(config.recordDir) : null;
+  metrics?.cycleStarted();
+  dashboard?.cycleStarted(selected.map(i => ({ index: i + 1, label: accounts[i].label, address: addresses[i], queued: due.includes(i) })));
+  const rateLimiter = createRateLimiter(config.rateLimit);
+  const concurrency = Math.max(1, Math.min(config.concurrency, due.length));
+  if (concurrency > 1) {
+    logger.info(`Processing ${due.length} accounts with ${concurrency} workers`, { emoji: '🧵 ' });
+  }
+
+  // Every queued account gets its own controller so the dashboard can skip it
+  const queue = [];
+  const skips = new Map();
+  const pending = new Set();
+  const enqueue = i => {
+    skips.set(i, new AbortController());
+    pending.add(i);
+    queue.push(i);
+  };
+  due.forEach(enqueue);
+  const onSkip = index => skips.get(index - 1)?.abort();
+  const onRetry = () => {
+    const failed = run.accounts.filter(report => report.error && !pending.has(report.index - 1));
+    for (const report of failed) {
+      enqueue(report.index - 1);
+      dashboard?.updateAccount(report.index, { state: 'queued', error: null });
+    }
+    if (failed.length > 0) {
+      logger.info(`Retrying ${failed.length} failed account${failed.length === 1 ? '' : 's'}`, { emoji: '🔁 ' });
+    }
+  };
+
+  // The state entries as the cycle found them, so a retried account counts as one run
+  const stateBefore = new Map();
+
+  const worker = async i => {
+    const key = addresses[i].toLowerCase();
+    const skip = skips.get(i);
+    // A dashboard retry starts over; the failed attempt is already in the metrics and the history
+    const failed = isAccountFinished(checkpoint, key) ? checkpoint.reports[key] : null;
+    const account = {
+      ...accounts[i],
+      index: i,
+      total: accounts.length,
+      proxy: accounts[i].proxy ?? (proxies.length > 0 ? proxies[i % proxies.length] : null)
+    };
+    await dashboard?.whilePaused(signal);
+    if (signal?.aborted || skip.signal.aborted) {
+      pending.delete(i);
+      if (!signal?.aborted) dashboard?.updateAccount(i + 1, { state: 'skipped' });
+      return;
+    }
+    const onProgress = async progress => {
+      checkpoint.reports[key] = progress;
+      await saveProgress();
+    };
+    const accountSignal = signal ? AbortSignal.any([signal, skip.signal]) : skip.signal;
+    const report = await logger.buffered(concurrency > 1, async () => {
+      const result = await logger.withFields({ context: accountContext(account), account: i + 1 }, () =>
+        processAccount(account, { config, rateLimiter, registry, metrics, dashboard, signal: accountSignal, resume: failed ? null : checkpoint.reports[key], onProgress, recorder })
+      );
+      logger.print('\n\n');
+      return result;
+    });
+    pending.delete(i);
+    if (report.interrupted) {
+      checkpoint.reports[key] = report;
+      await saveProgress();
+      dashboard?.updateAccount(report.index, { state: signal?.aborted ? 'stopped' : 'skipped' });
+      return;
+    }
+    const cycleReport = failed ? mergeRetry(failed, report) : report;
+    checkpoint.reports[key] = cycleReport;
+    await saveProgress();
+    run.accounts = run.accounts.filter(previous => previous.index !== report.index);
+    run.accounts.push(cycleReport);
+    dashboard?.updateAccount(report.index, { state: report.error ? 'failed' : 'done', error: report.error });
+    metrics?.recordAccount(report);
+    if (!config.dryRun) {
+      await appendHistory(config.historyFile, report).catch(error => {
+        logger.error(`Failed to append to ${config.historyFile}: ${error.message}`, { emoji: '❌ ' });
+      });
+    }
+    if (state && !config.dryRun) {
+      const retried = stateBefore.has(key);
+      if (retried) {
+        const entry = stateBefore.get(key);
+        if (entry) state.accounts[key] = { ...entry };
+        else delete state.accounts[key];
+      } else {
+        stateBefore.set(key, state.accounts[key] && { ...state.accounts[key] });
+      }
+      const { consecutiveFailures } = recordRun(state, addresses[i], report, run.startedAt);
+      await saveRunState(config.stateFile, state).catch(error => {
+        logger.error(`Failed to save ${config.stateFile}: ${error.message}`, { emoji: '❌ ' });
+      });
+      if (notifier && report.error && !retried && consecutiveFailures === notifier.failureThreshold) {
+        await sendNotification(notifier, {
+          event: 'account_failure',
+          index: report.index,
+          label: report.label,
+          address: report.address,
+          consecutiveFailures,
+          error: report.error
+        });
+      }
+    }
+  };
+
+  dashboard?.on('skip', onSkip);
+  dashboard?.on('retry', onRetry);
+  try {
+    // Accounts queued again after the workers ran dry get another pass
+    for (let start = 0; start < queue.length && !signal?.aborted;) {
+      const batch = queue.slice(start);
+      start = queue.length;
+      await runPool(batch, concurrency, worker, config.accountDelay, signal);
+    }
+  } finally {
+    dashboard?.off('skip', onSkip);
+    dashboard?.off('retry', onRetry);
+    dashboard?.cycleFinished();
+    if (recorder) {
+      await recorder.save().then(
+        () => logger.info(`Recorded ${recorder.size} request${recorder.size === 1 ? '' : 's'} to ${recorder.file}`, { emoji: '📼 ' }),
+        error => logger.error(`Failed to write ${recorder.file}: ${error.message}`, { emoji: '❌ ' })
+      );
+    }
+  }
+
+  const left = due.filter(i => !isAccountFinished(checkpoint, addresses[i])).length;
+  if (signal?.aborted && left > 0) {
+    const saved = checkpointFile ? `, progress saved to ${checkpointFile}` : '';
+    logger.warn(`Cycle stopped with ${left} of ${due.length} accounts left${saved}`, { emoji: '⏹️ ' });
+    return { run: null, nextRunAt: null, interrupted: true };
+  }
+
+  run.accounts.sort((a, b) => a.index - b.index);
+  run.finishedAt = new Date().toISOString();
+  metrics?.cycleFinished(run);
+  if (!config.dryRun) {
+    await writeRunReport(run, config.reportDir);
+    if (notifier) {
+      await sendNotification(notifier, cycleSummaryEvent(run));
+    }
+  }
+  if (checkpointFile) {
+    await clearCheckpoint(checkpointFile);
+  }
+  return { run, nextRunAt: nextRunAt() };
+}
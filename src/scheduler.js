@@ -0,0 +1,180 @@
+import fs from 'fs/promises';
+import { writeJsonFile } from './utils.js';
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+const CRON_ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+const MINUTE = 60 * 1000;
+const SEARCH_LIMIT = 5 * 366 * 24 * 60;
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    let start = min;
+    let end = max;
+    if (match[2] !== undefined) {
+      start = parseInt(match[2], 10);
+      end = match[3] !== undefined ? parseInt(match[3], 10) : match[4] ? max : start;
+    }
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  // Sunday may be written as 0 or 7
+  if (name === 'day of week' && values.delete(7)) values.add(0);
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day-of-month month day-of-week),
+ * evaluated in UTC. Supports `*`, lists, ranges, steps and the @daily style aliases.
+ */
+export function parseCron(expression) {
+  const source = CRON_ALIASES[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: ${expression}`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2].startsWith('*'),
+    anyWeekday: parts[4].startsWith('*')
+  };
+}
+
+function matchesDay(cron, date) {
+  const day = cron.days.has(date.getUTCDate());
+  const weekday = cron.weekdays.has(date.getUTCDay());
+  // Like classic cron: when both day fields are restricted, either one may match
+  if (!cron.anyDay && !cron.anyWeekday) return day || weekday;
+  return day && weekday;
+}
+
+function matches(cron, date) {
+  return cron.months.has(date.getUTCMonth() + 1) &&
+    matchesDay(cron, date) &&
+    cron.hours.has(date.getUTCHours()) &&
+    cron.minutes.has(date.getUTCMinutes());
+}
+
+/** First time strictly after `from` (ms) that matches the cron expression. */
+export function nextCronTime(cron, from) {
+  let time = Math.floor(from / MINUTE) * MINUTE + MINUTE;
+  for (let i = 0; i < SEARCH_LIMIT; i++) {
+    const date = new Date(time);
+    if (!cron.months.has(date.getUTCMonth() + 1) || !matchesDay(cron, date)) {
+      time = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      time = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours() + 1);
+    } else if (!matches(cron, date)) {
+      time += MINUTE;
+    } else {
+      return time;
+    }
+  }
+  throw new Error(`Cron expression never matches: ${cron.expression}`);
+}
+
+export function parseResetTime(value) {
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    throw new Error(`Invalid reset time (expected HH:MM in UTC): ${value}`);
+  }
+  return `${parseInt(match[2], 10)} ${parseInt(match[1], 10)} * * *`;
+}
+
+/**
+ * Builds the schedule from the config: a cron expression, a daily UTC reset time,
+ * or a plain interval after the start of each account's last cycle.
+ */
+export function createSchedule({ schedule = null, resetTime = null, interval = 86400 }) {
+  if (schedule && resetTime) {
+    throw new Error('Use either schedule or resetTime, not both');
+  }
+  if (schedule || resetTime) {
+    const cron = parseCron(schedule || parseResetTime(resetTime));
+    nextCronTime(cron, Date.now());
+    return {
+      description: schedule ? `cron "${schedule}" (UTC)` : `daily at ${resetTime} UTC`,
+      nextRunAfter: time => nextCronTime(cron, time)
+    };
+  }
+  return {
+    description: `every ${interval} seconds`,
+    nextRunAfter: time => time + interval * 1000
+  };
+}
+
+/** An account is due once the first scheduled time after its last success has passed. */
+export function isDue(schedule, entry, now = Date.now()) {
+  if (!entry?.lastSuccess) return true;
+  return schedule.nextRunAfter(Date.parse(entry.lastSuccess)) <= now;
+}
+
+/** Earliest time any of the given accounts should run again. */
+export function nextRunTime(schedule, state, addresses, now = Date.now()) {
+  let next = Infinity;
+  for (const address of addresses) {
+    const entry = state.accounts[address.toLowerCase()];
+    const last = Math.max(Date.parse(entry?.lastSuccess ?? 0) || 0, Date.parse(entry?.lastAttempt ?? 0) || 0);
+    next = Math.min(next, last ? schedule.nextRunAfter(last) : now);
+  }
+  return Number.isFinite(next) ? Math.max(next, now) : null;
+}
+
+export async function loadRunState(file) {
+  try {
+    const state = JSON.parse(await fs.readFile(file, 'utf-8'));
+    return { accounts: {}, ...state };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { accounts: {} };
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+}
+
+/** Writes the run state atomically; concurrent calls are serialized. */
+export function saveRunState(file, state) {
+  return writeJsonFile(file, state);
+}
+
+/**
+ * Stores the run of one account. Times are those of the cycle (`cycleStartedAt`),
+ * not of the account, so all accounts of a cycle become due again together instead
+ * of seconds apart.
+ */
+export function recordRun(state, address, report, cycleStartedAt = report.startedAt) {
+  const key = address.toLowerCase();
+  const entry = state.accounts[key] || {};
+  entry.lastAttempt = cycleStartedAt;
+  if (!report.error) {
+    entry.lastSuccess = cycleStartedAt;
+  }
+  entry.consecutiveFailures = report.error ? (entry.consecutiveFailures || 0) + 1 : 0;
+  state.accounts[key] = entry;
+  return entry;
+}
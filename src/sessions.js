@@ -0,0 +1,47 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CookieJar } from 'tough-cookie';
+
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+function sessionPath(dir, address) {
+  return path.join(dir, `${address.toLowerCase()}.json`);
+}
+
+function getTokenExpiry(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function loadSession(dir, address) {
+  try {
+    const session = JSON.parse(await fs.readFile(sessionPath(dir, address), 'utf-8'));
+    if (!session.accessToken || !session.cookies) return null;
+    const expiresAt = getTokenExpiry(session.accessToken) ?? session.savedAt + SESSION_MAX_AGE;
+    if (Date.now() >= expiresAt) {
+      await clearSession(dir, address);
+      return null;
+    }
+    return { accessToken: session.accessToken, jar: CookieJar.deserializeSync(session.cookies), address: session.address, savedAt: session.savedAt };
+  } catch {
+    return null;
+  }
+}
+
+export async function saveSession(dir, address, { accessToken, jar }) {
+  await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+  const file = sessionPath(dir, address);
+  const session = { address, accessToken, cookies: jar.serializeSync(), savedAt: Date.now() };
+  await fs.writeFile(file, JSON.stringify(session, null, 2), { mode: 0o600 });
+  await fs.chmod(file, 0o600);
+}
+
+export async function clearSession(dir, address) {
+  await fs.rm(sessionPath(dir, address), { force: true });
+}
@@ -0,0 +1,99 @@
+import { ethers } from 'ethers';
+import { requestWithRetry } from './http.js';
+import { SignerError } from './errors.js';
+
+export const DEFAULT_HD_PATH = "m/44'/60'/0'/0";
+
+// Deriving a wallet takes a few milliseconds, so a typo like 0-99999999 must not get through
+const MAX_RANGE_INDICES = 10000;
+const REMOTE_POLICY = { retries: 2, backoff: 500, maxBackoff: 2000, deadline: 30000, timeout: 10000 };
+
+/** Parses a derivation index range such as "0-49", "7" or "0-4,10" (indices start at 0, at most 10 000 of them). */
+export function parseIndexRange(spec, where = 'range') {
+  const indices = new Set();
+  for (const part of String(spec ?? '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    const start = match && parseInt(match[1], 10);
+    const end = match && (match[2] ? parseInt(match[2], 10) : start);
+    if (!match || end < start || end >= 2 ** 31) {
+      throw new Error(`${where} is not a valid index range: ${part}`);
+    }
+    if (end - start + 1 > MAX_RANGE_INDICES - indices.size) {
+      throw new Error(`${where} selects more than ${MAX_RANGE_INDICES} indices: ${spec}`);
+    }
+    for (let i = start; i <= end; i++) indices.add(i);
+  }
+  if (indices.size === 0) {
+    throw new Error(`${where} is empty`);
+  }
+  return [...indices];
+}
+
+/**
+ * Derives one wallet per index below `path` from a BIP-39 mnemonic, e.g. the
+ * MetaMask accounts m/44'/60'/0'/0/0 to m/44'/60'/0'/0/49 for range "0-49".
+ */
+export function deriveMnemonicWallets(phrase, { path = DEFAULT_HD_PATH, range = '0', password = '' } = {}) {
+  const mnemonic = ethers.Mnemonic.fromPhrase(phrase.trim().replace(/\s+/g, ' '), password);
+  const root = ethers.HDNodeWallet.fromMnemonic(mnemonic, path);
+  return parseIndexRange(range).map(index => ({ index, path: `${path}/${index}`, wallet: root.deriveChild(index) }));
+}
+
+async function callRemote(url, method, params, policy) {
+  const endpoint = new URL(url).pathname;
+  let response;
+  try {
+    response = await requestWithRetry('post', url, { jsonrpc: '2.0', id: 1, method, params }, {
+      headers: { 'content-type': 'application/json' }
+    }, { ...REMOTE_POLICY, ...policy });
+  } catch (error) {
+    throw new SignerError(`Remote signer ${method} failed: ${error.message}`, { endpoint, status: error.status, code: error.code, cause: error });
+  }
+  const body = response.data;
+  if (body?.error) {
+    throw new SignerError(`Remote signer ${method} failed: ${body.error.message}`, { endpoint, status: response.status, resCode: body.error.code ?? null, resMsg: body.error.message ?? null });
+  }
+  if (!body || typeof body !== 'object' || !('result' in body)) {
+    throw new SignerError(`Malformed response from remote signer ${method}`, { endpoint, status: response.status });
+  }
+  return body.result;
+}
+
+/** Addresses the remote signer at `url` can sign for (`eth_accounts`). */
+export async function listRemoteAccounts(url, policy = {}) {
+  const result = await callRemote(url, 'eth_accounts', [], policy);
+  if (!Array.isArray(result)) {
+    throw new SignerError('Malformed response from remote signer eth_accounts', { endpoint: new URL(url).pathname });
+  }
+  return result.map(address => ethers.getAddress(address));
+}
+
+/**
+ * Signer for a key held by another process that serves JSON-RPC `personal_sign`
+ * over HTTP (Clef, Frame, a hardware wallet bridge or mock/signer.js). The key
+ * never enters the bot; every signature is checked against `address`.
+ */
+export function createRemoteSigner(url, address, policy = {}) {
+  const checksummed = ethers.getAddress(address);
+  return {
+    address: checksummed,
+    remote: url,
+    async getAddress() {
+      return checksummed;
+    },
+    async signMessage(message) {
+      const data = ethers.hexlify(typeof message === 'string' ? ethers.toUtf8Bytes(message) : message);
+      const signature = await callRemote(url, 'personal_sign', [data, checksummed], policy);
+      let signer;
+      try {
+        signer = ethers.verifyMessage(ethers.getBytes(data), signature);
+      } catch {
+        throw new SignerError('Remote signer returned an invalid signature', { endpoint: new URL(url).pathname });
+      }
+      if (signer !== checksummed) {
+        throw new SignerError(`Remote signer signed with ${signer} instead of ${checksummed}`, { endpoint: new URL(url).pathname });
+      }
+      return signature;
+    }
+  };
+}
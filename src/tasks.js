@@ -0,0 +1,96 @@
+export const TASK_ORDERS = ['default', 'points-desc', 'points-asc'];
+
+const RULE_KEYS = ['code', 'title', 'category', 'minPoints'];
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function compileRule(rule, where, known) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`${where} must be an object with ${RULE_KEYS.join(', ')}`);
+  }
+  const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${where} has unknown keys: ${unknown.join(', ')}`);
+  }
+  const checks = [];
+  if (rule.code !== undefined) {
+    const patterns = toList(rule.code).map(code => globToRegExp(String(code)));
+    checks.push(task => patterns.some(pattern => pattern.test(task.id)));
+  }
+  if (rule.title !== undefined) {
+    let pattern;
+    try {
+      pattern = new RegExp(String(rule.title), 'i');
+    } catch (error) {
+      throw new Error(`${where}.title is not a valid pattern: ${error.message}`);
+    }
+    checks.push(task => pattern.test(task.title || ''));
+  }
+  if (rule.category !== undefined) {
+    const categories = toList(rule.category);
+    if (categories.some(category => typeof category !== 'string' || !category)) {
+      throw new Error(`${where}.category must be a category name such as UserVisit or AdvanceVisit`);
+    }
+    if (known && categories.some(category => !known.includes(category))) {
+      throw new Error(`${where}.category must be one of ${known.join(', ')}`);
+    }
+    checks.push(task => categories.includes(task.category));
+  }
+  if (rule.minPoints !== undefined) {
+    const minPoints = Number(rule.minPoints);
+    if (!Number.isFinite(minPoints)) {
+      throw new Error(`${where}.minPoints must be a number`);
+    }
+    checks.push(task => Number(task.points) >= minPoints);
+  }
+  return task => checks.every(check => check(task));
+}
+
+/**
+ * Compiles a task filter spec into a predicate. A task runs when it matches any
+ * `include` rule (or there are none), matches no `exclude` rule and is worth at
+ * least `minPoints`. Rule fields are ANDed: `code` (glob, e.g. UV_*), `title`
+ * (case-insensitive regular expression), `category` and `minPoints`. Pass the
+ * registry's `categories` to reject rules naming a category no provider serves.
+ */
+export function compileTaskFilter(spec, where = 'taskFilter', categories = null) {
+  if (spec === undefined || spec === null) return () => true;
+  if (typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`${where} must be an object with include, exclude and minPoints`);
+  }
+  const include = toList(spec.include).map((rule, i) => compileRule(rule, `${where}.include[${i}]`, categories));
+  const exclude = toList(spec.exclude).map((rule, i) => compileRule(rule, `${where}.exclude[${i}]`, categories));
+  const minimum = spec.minPoints === undefined ? null : compileRule({ minPoints: spec.minPoints }, where);
+  return task => (include.length === 0 || include.some(rule => rule(task))) &&
+    !exclude.some(rule => rule(task)) &&
+    (!minimum || minimum(task));
+}
+
+export function sortTasks(tasks, order = 'default') {
+  if (!TASK_ORDERS.includes(order)) {
+    throw new Error(`taskOrder must be one of ${TASK_ORDERS.join(', ')}`);
+  }
+  if (order === 'default') return [...tasks];
+  const direction = order === 'points-desc' ? -1 : 1;
+  // Array.prototype.sort is stable, so equal rewards keep the API order
+  return [...tasks].sort((a, b) => direction * (Number(a.points || 0) - Number(b.points || 0)));
+}
+
+/** Splits fetched tasks into the ordered tasks to run and the ones the filter skips. */
+export function selectTasks(tasks, filterSpec, order) {
+  const filter = compileTaskFilter(filterSpec);
+  const selected = [];
+  const skipped = [];
+  for (const task of tasks) {
+    (filter(task) ? selected : skipped).push(task);
+  }
+  return { selected: sortTasks(selected, order), skipped };
+}
@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import { realpathSync, readFileSync, statSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/** Resolves after `seconds`, or as soon as `signal` aborts. */
+export function delay(seconds, signal = null) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, seconds * 1000);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+export function stripAnsi(str) {
+  return str.replace(/\x1B\[[0-9;]*m/g, '');
+}
+
+export async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const pendingWrites = new Map();
+
+/** Writes JSON through a temp file and rename; concurrent writes to the same file are serialized. */
+export function writeJsonFile(file, data) {
+  const json = JSON.stringify(data, null, 2);
+  const write = async () => {
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, json);
+    await fs.rename(tmp, file);
+  };
+  const pending = (pendingWrites.get(file) ?? Promise.resolve()).then(write, write);
+  pendingWrites.set(file, pending);
+  return pending;
+}
+
+/** The file node starts for `node <entry>`: symlinks resolved, a directory through its package.json `main`. */
+function resolveEntry(entry) {
+  let file = entry;
+  try {
+    file = realpathSync(file);
+  } catch {
+    file = realpathSync(`${file}.js`);
+  }
+  if (!statSync(file).isDirectory()) return file;
+  let main = 'index.js';
+  try {
+    main = JSON.parse(readFileSync(path.join(file, 'package.json'), 'utf-8')).main || main;
+  } catch {}
+  return resolveEntry(path.join(file, main));
+}
+
+/**
+ * Whether the module at `moduleUrl` is the script node was started with, also for
+ * `node .`, a symlinked checkout or an npm bin link.
+ */
+export function isMainModule(moduleUrl) {
+  if (!process.argv[1]) return false;
+  try {
+    return resolveEntry(process.argv[1]) === realpathSync(fileURLToPath(moduleUrl));
+  } catch {
+    return false;
+  }
+}
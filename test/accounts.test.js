@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAccounts, inGroups } from '../src/accounts.js';
+import { parseGroupSelection } from '../src/config.js';
+
+const KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const MNEMONIC = 'test test test test test test test test test test test junk';
+
+test('parseAccounts reads YAML entries with defaults and overrides', () => {
+  const accounts = parseAccounts(`
+accounts:
+  - key: "${KEY}"
+    label: alice-main
+    group: team-a
+    tags: [daily, main]
+    proxy: socks5://127.0.0.1:1080
+    taskFilter:
+      exclude: [{ category: AdvanceVisit }]
+  - keystore: keystore/bob.json
+    enabled: false
+`, 'accounts.yaml');
+
+  assert.deepEqual(accounts, [
+    {
+      key: KEY,
+      keystore: null,
+      mnemonic: null,
+      path: null,
+      range: null,
+      remoteSigner: null,
+      address: null,
+      label: 'alice-main',
+      group: 'team-a',
+      tags: ['daily', 'main'],
+      enabled: true,
+      proxy: 'socks5://127.0.0.1:1080',
+      taskFilter: { exclude: [{ category: 'AdvanceVisit' }] },
+      taskOrder: undefined
+    },
+    {
+      key: null,
+      keystore: 'keystore/bob.json',
+      mnemonic: null,
+      path: null,
+      range: null,
+      remoteSigner: null,
+      address: null,
+      label: null,
+      group: null,
+      tags: [],
+      enabled: false,
+      proxy: null,
+      taskFilter: undefined,
+      taskOrder: undefined
+    }
+  ]);
+});
+
+test('parseAccounts reads CSV with quoted cells and semicolon-separated tags', () => {
+  const accounts = parseAccounts([
+    'label,key,group,tags,enabled,taskOrder',
+    `"Carol, ops",${KEY},team-b,night; spare,no,points-desc`,
+    '',
+    `dave,${KEY},,,,`
+  ].join('\r\n'), 'accounts.csv');
+
+  assert.deepEqual(accounts.map(({ label, group, tags, enabled, taskOrder }) => ({ label, group, tags, enabled, taskOrder })), [
+    { label: 'Carol, ops', group: 'team-b', tags: ['night', 'spare'], enabled: false, taskOrder: 'points-desc' },
+    { label: 'dave', group: null, tags: [], enabled: true, taskOrder: undefined }
+  ]);
+});
+
+test('parseAccounts rejects malformed entries', () => {
+  assert.throws(() => parseAccounts('{"accounts": {}}', 'a.json'), /must contain a list/);
+  assert.throws(() => parseAccounts('[{"label": "x"}]', 'a.json'), /account 1 needs exactly one of key, keystore, mnemonic or remoteSigner/);
+  assert.throws(() => parseAccounts(`[{"key": "${KEY}", "owner": "x"}]`, 'a.json'), /unknown keys: owner/);
+  assert.throws(() => parseAccounts(`[{"key": "${KEY}", "enabled": "maybe"}]`, 'a.json'), /enabled must be true or false/);
+  assert.throws(() => parseAccounts(`[{"key": "${KEY}", "taskFilter": {"include": [{"points": 1}]}}]`, 'a.json'), /taskFilter.include\[0\] has unknown keys/);
+  assert.throws(() => parseAccounts(`- key: ${KEY}`, 'a.yaml'), /key must be a string \(quote it in YAML\)/);
+  assert.throws(() => parseAccounts('key,owner\n1,2', 'a.csv'), /unknown columns: owner/);
+});
+
+test('parseAccounts reads mnemonic and remote signer entries', () => {
+  const accounts = parseAccounts(`
+- mnemonic: "  ${MNEMONIC}  "
+  range: 0-49
+  label: team
+- remoteSigner: http://127.0.0.1:8550
+  address: "0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266"
+`, 'accounts.yaml');
+
+  assert.deepEqual(accounts.map(({ mnemonic, path, range, remoteSigner, address }) => ({ mnemonic, path, range, remoteSigner, address })), [
+    { mnemonic: MNEMONIC, path: "m/44'/60'/0'/0", range: '0-49', remoteSigner: null, address: null },
+    { mnemonic: null, path: null, range: null, remoteSigner: 'http://127.0.0.1:8550', address: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266' }
+  ]);
+
+  assert.throws(() => parseAccounts(`[{"key": "${KEY}", "mnemonic": "${MNEMONIC}"}]`, 'a.json'), /exactly one of/);
+  assert.throws(() => parseAccounts('[{"mnemonic": "test test test"}]', 'a.json'), /mnemonic is not a valid BIP-39 phrase/);
+  assert.throws(() => parseAccounts(`[{"mnemonic": "${MNEMONIC}", "range": "5-2"}]`, 'a.json'), /range is not a valid index range: 5-2/);
+  assert.throws(() => parseAccounts(`[{"mnemonic": "${MNEMONIC}", "range": "0-99999999"}]`, 'a.json'), /account 1.range selects more than 10000 indices/);
+  assert.throws(() => parseAccounts(`[{"mnemonic": "${MNEMONIC}", "path": "44/60"}]`, 'a.json'), /path must look like/);
+  assert.throws(() => parseAccounts(`[{"key": "${KEY}", "range": "0-4"}]`, 'a.json'), /path and range only apply to a mnemonic/);
+  assert.throws(() => parseAccounts('[{"remoteSigner": "localhost:8550"}]', 'a.json'), /remoteSigner must be an http\(s\) URL/);
+  assert.throws(() => parseAccounts('[{"remoteSigner": "http://127.0.0.1:8550", "address": "0x12"}]', 'a.json'), /address is not a valid address/);
+});
+
+test('inGroups matches the group or any tag', () => {
+  const account = { group: 'team-a', tags: ['night'] };
+  assert.equal(inGroups(account, null), true);
+  assert.equal(inGroups(account, ['team-a']), true);
+  assert.equal(inGroups(account, ['team-b', 'night']), true);
+  assert.equal(inGroups(account, ['team-b']), false);
+  assert.deepEqual(parseGroupSelection('team-a, night'), ['team-a', 'night']);
+  assert.equal(parseGroupSelection(''), null);
+});
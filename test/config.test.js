@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_CONFIG, parseDuration, parseAccountSelection, parseGroupSelection, readConfigFile, resolveConfig, loadConfig } from '../src/config.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-config-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('parseDuration reads plain seconds and unit suffixes', () => {
+  assert.equal(parseDuration(90, 'interval'), 90);
+  assert.equal(parseDuration('3600', 'interval'), 3600);
+  assert.equal(parseDuration('24h', 'interval'), 86400);
+  assert.equal(parseDuration('90m', 'interval'), 5400);
+  assert.equal(parseDuration('1.5d', 'interval'), 129600);
+  assert.equal(parseDuration('250ms', 'timeout'), 0.25);
+  assert.throws(() => parseDuration('soon', 'interval'), /Invalid duration for interval: soon/);
+  assert.throws(() => parseDuration(-5, 'timeout'), /Invalid duration for timeout/);
+});
+
+test('parseAccountSelection turns 1-based lists and ranges into 0-based indices', () => {
+  assert.equal(parseAccountSelection(null), null);
+  assert.equal(parseAccountSelection(''), null);
+  assert.deepEqual([...parseAccountSelection('1,3-5')], [0, 2, 3, 4]);
+  assert.deepEqual([...parseAccountSelection(2)], [1]);
+  assert.throws(() => parseAccountSelection('0'), /Invalid account range: 0/);
+  assert.throws(() => parseAccountSelection('5-3'), /Invalid account range: 5-3/);
+  assert.throws(() => parseAccountSelection('1,x'), /Invalid account selection: x/);
+  assert.equal(parseAccountSelection('1-10000').size, 10000);
+  assert.throws(() => parseAccountSelection('1-2000000000'), /covers more than 10000 accounts: 1-2000000000/);
+  assert.throws(() => parseAccountSelection('1-9999,20000-20001'), /covers more than 10000 accounts/);
+});
+
+test('parseGroupSelection accepts a comma list or an array', () => {
+  assert.equal(parseGroupSelection(undefined), null);
+  assert.equal(parseGroupSelection(' , '), null);
+  assert.deepEqual(parseGroupSelection('team-a, team-b'), ['team-a', 'team-b']);
+  assert.deepEqual(parseGroupSelection(['team-a', 'team-b,vip']), ['team-a', 'team-b', 'vip']);
+});
+
+test('readConfigFile loads YAML and JSON objects and rejects anything else', async () => {
+  const yamlFile = path.join(dir, 'config.yaml');
+  await fs.writeFile(yamlFile, 'interval: 12h\nconcurrency: 2\n');
+  assert.deepEqual(await readConfigFile(yamlFile), { file: yamlFile, values: { interval: '12h', concurrency: 2 } });
+
+  const jsonFile = path.join(dir, 'config.json');
+  await fs.writeFile(jsonFile, '{"retries": 5}');
+  assert.deepEqual(await readConfigFile(jsonFile), { file: jsonFile, values: { retries: 5 } });
+
+  const listFile = path.join(dir, 'list.yml');
+  await fs.writeFile(listFile, '- a\n- b\n');
+  await assert.rejects(readConfigFile(listFile), /must contain an object/);
+  await assert.rejects(readConfigFile(path.join(dir, 'missing.json')), { code: 'ENOENT' });
+});
+
+test('resolveConfig fills defaults and rejects invalid values', () => {
+  const config = resolveConfig({ baseUrl: 'http://localhost:8080//', interval: '12h' });
+  assert.equal(config.baseUrl, 'http://localhost:8080');
+  assert.equal(config.interval, 43200);
+  assert.equal(config.timeout, DEFAULT_CONFIG.timeout);
+  assert.equal(config.accounts, null);
+
+  assert.throws(() => resolveConfig({ retries: 0 }), /retries must be a positive integer/);
+  assert.throws(() => resolveConfig({ concurrency: 1.5 }), /concurrency must be a positive integer/);
+  assert.throws(() => resolveConfig({ rateLimit: -1 }), /rateLimit must be a non-negative number/);
+  assert.throws(() => resolveConfig({ metricsPort: 70000 }), /metricsPort must be a port number/);
+  assert.throws(() => resolveConfig({ accounts: '1-2000000000' }), /covers more than 10000 accounts/);
+});
+
+test('loadConfig puts command line flags over the config file over the defaults', async () => {
+  const file = path.join(dir, 'layered.yaml');
+  await fs.writeFile(file, 'interval: 12h\nconcurrency: 3\nretries: 4\nlogLevel: warn\nunknownOption: 1\n');
+
+  const { config, file: used, unknownKeys } = await loadConfig({ config: file, concurrency: '2', retries: undefined, report: false, checkpoint: false, record: true });
+  assert.equal(used, file);
+  assert.equal(config.concurrency, 2);
+  assert.equal(config.retries, 4);
+  assert.equal(config.interval, 43200);
+  assert.equal(config.logLevel, 'warn');
+  assert.equal(config.timeout, DEFAULT_CONFIG.timeout);
+  assert.equal(config.reportDir, null);
+  assert.equal(config.checkpointFile, null);
+  assert.equal(config.historyFile, DEFAULT_CONFIG.historyFile);
+  assert.equal(config.recordDir, 'recordings');
+  assert.deepEqual(unknownKeys, ['unknownOption']);
+
+  await assert.rejects(loadConfig({ config: file, interval: 'weekly' }), /Invalid duration for interval: weekly/);
+});
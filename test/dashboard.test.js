@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { Dashboard, renderDashboard } from '../src/dashboard.js';
+import { logger } from '../src/logger.js';
+import { formatTaskTable } from '../src/output.js';
+import { stripAnsi } from '../src/utils.js';
+
+const ADDRESS = '0x1234567890abcdef1234567890abcdef12345678';
+
+function createView() {
+  const dashboard = new Dashboard({ output: null, input: null });
+  dashboard.cycleStarted([
+    { index: 1, label: 'alice', address: ADDRESS, queued: true },
+    { index: 2, label: null, address: ADDRESS, queued: true },
+    { index: 3, label: 'carol', address: ADDRESS, queued: false }
+  ]);
+  dashboard.updateAccount(1, { state: 'tasks', tasksDone: 2, tasksTotal: 3, points: 35 });
+  dashboard.updateAccount(2, { state: 'failed', error: 'Login failed: Malformed response' });
+  dashboard.log({ timestamp: '2026-10-18T12:00:01.000Z', level: 'warn', context: 'alice 1/3', msg: 'Retrying\n  soon' });
+  return dashboard;
+}
+
+test('renderDashboard fits the terminal and shows accounts, logs and keys', () => {
+  const dashboard = createView();
+  const lines = renderDashboard(dashboard.view, { width: 90, height: 16, now: Date.now() });
+  const plain = lines.map(stripAnsi);
+
+  assert.equal(lines.length, 16);
+  assert.ok(plain.every(line => line.length <= 90), plain.find(line => line.length > 90));
+  assert.match(plain[0], /cycle 0m 0\ds │ 0\/2 done, 1 failed │ 35 points/);
+  assert.match(plain.find(line => line.includes('alice')), /^> 1 +alice +0x1234…5678 +tasks 2\/3 +35 /);
+  assert.match(plain.find(line => line.includes('Account 2')), /failed .*Login failed/);
+  assert.match(plain.find(line => line.includes('carol')), /not due/);
+  assert.ok(plain.includes(`12:00:01 WARN  ${'[alice 1/3] Retrying soon'.padEnd(75)}`));
+  assert.match(plain.at(-1), /p pause\/resume {2}s skip account {2}r retry failed/);
+});
+
+test('renderDashboard scrolls the account table to the selected row', () => {
+  const dashboard = new Dashboard({ output: null, input: null });
+  dashboard.cycleStarted(Array.from({ length: 30 }, (_, i) => ({ index: i + 1, label: `wallet-${i + 1}`, address: ADDRESS, queued: true })));
+  dashboard.view.selected = 25;
+  const plain = renderDashboard(dashboard.view, { width: 80, height: 20, now: Date.now() }).map(stripAnsi);
+  assert.ok(plain.some(line => line.startsWith('> 26 ')));
+  assert.ok(!plain.some(line => line.includes('wallet-1 ')));
+});
+
+test('dashboard keys select, skip, retry, quit and pause', async () => {
+  const dashboard = createView();
+  const events = [];
+  dashboard.on('skip', index => events.push(['skip', index]));
+  dashboard.on('retry', () => events.push(['retry']));
+  dashboard.on('quit', () => events.push(['quit']));
+
+  dashboard.onKeypress('', { name: 'down' });
+  dashboard.onKeypress('s', { name: 's' });
+  dashboard.onKeypress('r', { name: 'r' });
+  dashboard.onKeypress('', { name: 'c', ctrl: true });
+  assert.deepEqual(events, [['skip', 2], ['retry'], ['quit']]);
+
+  dashboard.onKeypress('p', { name: 'p' });
+  let resumed = false;
+  const waiting = dashboard.whilePaused().then(() => {
+    resumed = true;
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(resumed, false);
+  dashboard.onKeypress('p', { name: 'p' });
+  await waiting;
+  assert.equal(resumed, true);
+});
+
+test('the dashboard stops listening for resizes when it leaves the screen', () => {
+  const output = Object.assign(new EventEmitter(), { columns: 80, rows: 24, write() {} });
+  const dashboard = new Dashboard({ output, input: null });
+  for (let i = 0; i < 3; i++) {
+    dashboard.start();
+    assert.equal(output.listenerCount('resize'), 1);
+    dashboard.dirty = false;
+    output.emit('resize');
+    assert.equal(dashboard.dirty, true);
+    dashboard.stop();
+    assert.equal(output.listenerCount('resize'), 0);
+  }
+});
+
+test('formatTaskTable keeps every row the same width', () => {
+  const output = [];
+  const sinks = logger.sinks;
+  logger.sinks = [{ pretty: true, stream: { write: text => output.push(text) }, minLevel: 'error', write() {} }];
+  try {
+    formatTaskTable([
+      { title: 'Daily Check-in', category: 'UserVisit', points: 10, status: 'completed' },
+      { title: 'Follow Openverse on X and retweet', category: 'AdvanceVisit', points: 20, status: 'pending' }
+    ]);
+  } finally {
+    logger.sinks = sinks;
+  }
+  const rows = stripAnsi(output.join('')).split('\n').filter(line => /^[|+]/.test(line));
+  assert.equal(rows.length, 6);
+  assert.equal(new Set(rows.map(line => line.length)).size, 1);
+  assert.match(rows[3], /\| Completed \|$/);
+  assert.match(rows[4], /\| AdvanceVisit \| 20 {4}\| Pending {3}\|$/);
+});
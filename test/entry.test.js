@@ -0,0 +1,44 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+const run = promisify(execFile);
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-entry-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function help(entry) {
+  const { stdout } = await run(process.execPath, [entry, '--help'], { cwd: dir, timeout: 30000 });
+  return stdout;
+}
+
+test('the bot starts from index.js, the checkout directory, a symlink and an extensionless path', async () => {
+  const checkout = path.join(dir, 'checkout');
+  const bin = path.join(dir, 'openverse-bot');
+  await fs.symlink(root, checkout);
+  await fs.symlink(path.join(root, 'index.js'), bin);
+
+  for (const entry of [path.join(root, 'index.js'), root, checkout, path.join(checkout, 'index.js'), bin, path.join(root, 'index')]) {
+    assert.match(await help(entry), /Usage: openverse-bot/, `nothing ran for ${entry}`);
+  }
+});
+
+test('importing index.js does not start the bot', async () => {
+  const script = path.join(dir, 'import.mjs');
+  await fs.writeFile(script, `const bot = await import(${JSON.stringify(new URL('../index.js', import.meta.url).href)});\nconsole.log(typeof bot.OpenverseClient);\n`);
+  const { stdout } = await run(process.execPath, [script, '--help'], { cwd: dir, timeout: 30000 });
+  assert.equal(stdout.trim(), 'function');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { appendHistory, readHistory, summarizeHistory } from '../src/history.js';
+
+const A = '0x1111111111111111111111111111111111111111';
+const B = '0x2222222222222222222222222222222222222222';
+
+function entry(address, time, pointsBefore, pointsAfter, tasks = []) {
+  return { time, address, pointsBefore, pointsAfter, tasks, error: null };
+}
+
+const task = (category, points, outcome = 'completed') => ({ code: `${category}_1`, category, points, outcome });
+
+test('appendHistory writes one line per report and readHistory skips broken lines', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-history-'));
+  const file = path.join(dir, 'history.jsonl');
+  try {
+    await appendHistory(file, {
+      address: A,
+      pointsBefore: '10',
+      pointsAfter: '45',
+      tasks: [{ ...task('UserVisit', 10), title: 'Daily Check-in', message: 'ok' }],
+      error: null,
+      finishedAt: '2026-10-18T00:10:00.000Z'
+    });
+    await appendHistory(file, { address: null, tasks: [], finishedAt: '2026-10-18T00:11:00.000Z' });
+    await fs.appendFile(file, '{"time": "2026-10-18T00:12:00.000Z", "addr');
+
+    const { entries, invalid } = await readHistory(file);
+    assert.equal(invalid, 1);
+    assert.deepEqual(entries, [entry(A, '2026-10-18T00:10:00.000Z', 10, 45, [task('UserVisit', 10)])]);
+    assert.deepEqual(await readHistory(path.join(dir, 'missing.jsonl')), { entries: [], invalid: 0 });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('summarizeHistory reports totals, daily deltas, categories and stalled accounts', () => {
+  const entries = [
+    entry(A, '2026-10-16T00:10:00Z', 0, 30, [task('UserVisit', 10), task('AdvanceVisit', 20)]),
+    entry(A, '2026-10-17T00:10:00Z', 30, 45, [task('UserVisit', 10), task('UserVisit', 5), task('AdvanceVisit', 20, 'failed')]),
+    entry(A, '2026-10-18T00:10:00Z', 45, 55, [task('UserVisit', 10)]),
+    entry(B, '2026-10-15T00:10:00Z', 100, 100),
+    entry(B, '2026-10-17T00:10:00Z', 100, 100),
+    entry(B, '2026-10-18T00:10:00Z', null, null)
+  ];
+  const summary = summarizeHistory(entries, { days: 3, stallDays: 2, now: Date.parse('2026-10-18T12:00:00Z') });
+
+  assert.deepEqual(summary.days, ['2026-10-16', '2026-10-17', '2026-10-18']);
+  assert.equal(summary.totalPoints, 155);
+  assert.deepEqual(summary.accounts.map(({ address, points, runs, lastEarned, stalled }) => ({ address, points, runs, lastEarned, stalled })), [
+    { address: B, points: 100, runs: 3, lastEarned: null, stalled: true },
+    { address: A, points: 55, runs: 3, lastEarned: '2026-10-18T00:10:00Z', stalled: false }
+  ]);
+  assert.deepEqual(summary.daily.map(row => row.deltas), [[null, 0, null], [30, 15, 10]]);
+  assert.deepEqual(summary.dailyTotals, [30, 15, 10]);
+  assert.deepEqual(summary.categories, [
+    { category: 'UserVisit', points: [10, 15, 10] },
+    { category: 'AdvanceVisit', points: [20, 0, 0] }
+  ]);
+});
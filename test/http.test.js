@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AxiosError } from 'axios';
+import { createMockServer } from '../mock/server.js';
+import { classifyError, AuthError, NetworkError, RateLimitError, RequestError, ServerError } from '../index.js';
+import { requestWithRetry, toTypedError } from '../src/http.js';
+import { delay } from '../src/utils.js';
+
+const FAST = { retries: 3, backoff: 10, maxBackoff: 20, deadline: 5000, timeout: 2000 };
+
+let mock;
+
+before(async () => {
+  mock = createMockServer();
+  await mock.listen();
+});
+
+after(async () => {
+  await mock.close();
+});
+
+function axiosError(status, headers = {}) {
+  const response = { status, statusText: '', headers, data: { message: 'x' }, config: {} };
+  return new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, {}, null, response);
+}
+
+function countRequests(pathname) {
+  return mock.requests.filter(request => request.path === pathname).length;
+}
+
+test('classifyError sorts statuses, timeouts and connection errors', () => {
+  assert.equal(classifyError(axiosError(429)), 'rate_limit');
+  assert.equal(classifyError(axiosError(401)), 'auth');
+  assert.equal(classifyError(axiosError(419)), 'auth');
+  assert.equal(classifyError(axiosError(500)), 'server');
+  assert.equal(classifyError(axiosError(503)), 'server');
+  assert.equal(classifyError(axiosError(404)), 'client');
+  assert.equal(classifyError(new AxiosError('timeout of 10ms exceeded', 'ECONNABORTED')), 'timeout');
+  assert.equal(classifyError(new AxiosError('connect ETIMEDOUT', 'ETIMEDOUT')), 'timeout');
+  assert.equal(classifyError(new AxiosError('connect ECONNREFUSED', 'ECONNREFUSED')), 'network');
+  assert.equal(classifyError(new Error('boom')), 'unknown');
+  assert.equal(classifyError(new RateLimitError('slow down')), 'rate_limit');
+});
+
+test('toTypedError keeps the status and the Openverse answer', () => {
+  const error = toTypedError(axiosError(419), '/api/bindLogin');
+  assert.ok(error instanceof AuthError);
+  assert.deepEqual(error.toJSON(), {
+    type: 'AuthError',
+    kind: 'auth',
+    endpoint: '/api/bindLogin',
+    status: 419,
+    resCode: null,
+    resMsg: null,
+    message: 'Request failed with status code 419'
+  });
+  const timeout = toTypedError(new AxiosError('timeout of 10ms exceeded', 'ECONNABORTED'), '/api/user');
+  assert.ok(timeout instanceof NetworkError);
+  assert.equal(timeout.kind, 'timeout');
+  assert.equal(toTypedError(timeout), timeout);
+});
+
+test('requestWithRetry retries server errors and gives up after the last attempt', async () => {
+  const retries = [];
+  mock.fail('/sanctum/csrf-cookie', 'server_error', 2);
+  const response = await requestWithRetry('get', `${mock.url}/sanctum/csrf-cookie`, null, {}, { ...FAST, onRetry: retry => retries.push(retry) });
+  assert.equal(response.status, 204);
+  assert.deepEqual(retries.map(({ kind, attempt }) => [kind, attempt]), [['server', 1], ['server', 2]]);
+
+  mock.fail('/sanctum/csrf-cookie', 'server_error', 3);
+  await assert.rejects(requestWithRetry('get', `${mock.url}/sanctum/csrf-cookie`, null, {}, FAST), error =>
+    error instanceof ServerError && error.status === 500 && error.endpoint === '/sanctum/csrf-cookie');
+});
+
+test('requestWithRetry does not retry client errors', async () => {
+  const before = countRequests('/api/missing');
+  await assert.rejects(requestWithRetry('get', `${mock.url}/api/missing`, null, {}, FAST), error =>
+    error instanceof RequestError && error.status === 404);
+  assert.equal(countRequests('/api/missing'), before + 1);
+});
+
+test('requestWithRetry waits at least Retry-After and gives up when that passes the deadline', async () => {
+  let calls = 0;
+  const transport = async () => {
+    if (calls++ === 0) throw axiosError(429, { 'retry-after': '1' });
+    return { status: 200, headers: {}, data: {} };
+  };
+  const waits = [];
+  await requestWithRetry('get', `${mock.url}/api/user`, null, {}, { ...FAST, transport, onRetry: ({ wait }) => waits.push(wait) });
+  assert.equal(waits.length, 1);
+  assert.ok(waits[0] >= 1000, `waited ${waits[0]}ms`);
+
+  calls = 0;
+  const startedAt = Date.now();
+  await assert.rejects(requestWithRetry('get', `${mock.url}/api/user`, null, {}, { ...FAST, deadline: 500, transport }), RateLimitError);
+  assert.ok(Date.now() - startedAt < 400);
+  assert.equal(calls, 1);
+});
+
+test('requestWithRetry sends nothing once the deadline has passed', async () => {
+  const before = countRequests('/api/user');
+  const onAuthError = async () => {
+    await delay(0.15);
+    return {};
+  };
+  await assert.rejects(requestWithRetry('get', `${mock.url}/api/user`, null, {}, { ...FAST, deadline: 100, onAuthError }), error =>
+    error instanceof NetworkError && error.kind === 'timeout' && /Deadline of 100ms exceeded/.test(error.message));
+  assert.equal(countRequests('/api/user'), before + 1);
+
+  const rateLimiter = { acquire: () => delay(0.15) };
+  await assert.rejects(requestWithRetry('get', `${mock.url}/api/user`, null, {}, { ...FAST, deadline: 100, rateLimiter }), error =>
+    error instanceof NetworkError && error.kind === 'timeout');
+  assert.equal(countRequests('/api/user'), before + 1);
+});
+
+test('requestWithRetry reports a refused connection as a network error', async () => {
+  const closed = createMockServer();
+  const url = await closed.listen();
+  await closed.close();
+  const retries = [];
+  await assert.rejects(requestWithRetry('get', `${url}/api/user`, null, {}, { ...FAST, retries: 2, onRetry: retry => retries.push(retry.kind) }), error =>
+    error instanceof NetworkError && error.kind === 'network' && error.status === null);
+  assert.deepEqual(retries, ['network']);
+});
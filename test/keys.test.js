@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { logger, resolveConfig } from '../index.js';
+import { importKeys, readPrivateKeys } from '../src/keys.js';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+let dir;
+
+before(async () => {
+  logger.sinks = [];
+  process.env.OPENVERSE_PASSPHRASE = PASSPHRASE;
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-keys-'));
+});
+
+after(async () => {
+  delete process.env.OPENVERSE_PASSPHRASE;
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function writeKeys(name, wallets) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, wallets.map(wallet => wallet.privateKey).join('\n') + '\n');
+  return file;
+}
+
+test('an explicit key file is read instead of the vault and keystore', async () => {
+  const vaulted = [ethers.Wallet.createRandom()];
+  const plain = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const vaultFile = path.join(dir, 'explicit-vault.json');
+  const keystoreDir = path.join(dir, 'explicit-keystore');
+  await importKeys(resolveConfig({ keys: await writeKeys('explicit-import.txt', vaulted), vaultFile, keystoreDir }));
+  const keys = await writeKeys('explicit.txt', plain);
+
+  assert.deepEqual(await readPrivateKeys(resolveConfig({ keys, vaultFile, keystoreDir })), plain.map(wallet => wallet.privateKey));
+  assert.deepEqual(await readPrivateKeys(resolveConfig({ vaultFile, keystoreDir })), vaulted.map(wallet => wallet.privateKey));
+});
+
+test('import-keys encrypts the key file into the vault and wipes it', async () => {
+  const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const keys = await writeKeys('import.txt', wallets);
+  const copy = path.join(dir, 'import-link.txt');
+  await fs.link(keys, copy);
+  const { size } = await fs.stat(keys);
+  const config = resolveConfig({ vaultFile: path.join(dir, 'vault.json'), keystoreDir: path.join(dir, 'keystore') });
+  await importKeys({ ...config, keys });
+
+  await assert.rejects(fs.access(keys), { code: 'ENOENT' });
+  const overwritten = await fs.readFile(copy);
+  assert.equal(overwritten.length, size);
+  assert.ok(wallets.every(wallet => !overwritten.includes(wallet.privateKey.slice(2))), 'key file was not overwritten before unlinking');
+
+  const stat = await fs.stat(config.vaultFile);
+  assert.equal(stat.mode & 0o777, 0o600);
+  const vault = JSON.parse(await fs.readFile(config.vaultFile, 'utf-8'));
+  assert.equal(vault.kdf, 'scrypt');
+  assert.equal(vault.cipher, 'aes-256-gcm');
+  assert.ok(wallets.every(wallet => !JSON.stringify(vault).includes(wallet.privateKey.slice(2))));
+  assert.deepEqual(await readPrivateKeys(config), wallets.map(wallet => wallet.privateKey));
+});
+
+test('import-keys merges new keys into an existing vault', async () => {
+  const first = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const second = [first[1], ethers.Wallet.createRandom()];
+  const config = resolveConfig({ vaultFile: path.join(dir, 'merged.json'), keystoreDir: path.join(dir, 'keystore') });
+  await importKeys({ ...config, keys: await writeKeys('first.txt', first) });
+  await importKeys({ ...config, keys: await writeKeys('second.txt', second) });
+
+  assert.deepEqual(await readPrivateKeys(config), [first[0], first[1], second[1]].map(wallet => wallet.privateKey));
+});
+
+test('a wrong passphrase or a tampered vault is rejected and keeps the key file', async () => {
+  const config = resolveConfig({ vaultFile: path.join(dir, 'locked.json'), keystoreDir: path.join(dir, 'keystore') });
+  await importKeys({ ...config, keys: await writeKeys('locked.txt', [ethers.Wallet.createRandom()]) });
+  const keys = await writeKeys('more.txt', [ethers.Wallet.createRandom()]);
+
+  process.env.OPENVERSE_PASSPHRASE = 'not the passphrase';
+  try {
+    await assert.rejects(importKeys({ ...config, keys }), /Wrong passphrase or corrupted vault/);
+  } finally {
+    process.env.OPENVERSE_PASSPHRASE = PASSPHRASE;
+  }
+  await fs.access(keys);
+
+  const vault = JSON.parse(await fs.readFile(config.vaultFile, 'utf-8'));
+  const flipped = (parseInt(vault.ciphertext[0], 16) ^ 1).toString(16);
+  await fs.writeFile(config.vaultFile, JSON.stringify({ ...vault, ciphertext: flipped + vault.ciphertext.slice(1) }));
+  await assert.rejects(importKeys({ ...config, keys }), /Wrong passphrase or corrupted vault/);
+  await fs.access(keys);
+});
+
+test('keystore files are decrypted with the passphrase when there is no vault', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const keystoreDir = path.join(dir, 'keystore-only');
+  await fs.mkdir(keystoreDir);
+  await fs.writeFile(path.join(keystoreDir, 'a.json'), await wallet.encrypt(PASSPHRASE));
+  await fs.writeFile(path.join(keystoreDir, 'notes.txt'), 'ignored');
+
+  assert.deepEqual(await readPrivateKeys(resolveConfig({ vaultFile: path.join(dir, 'missing.json'), keystoreDir })), [wallet.privateKey]);
+});
+
+test('a passphrase that fails to unlock is not kept for the next cycle', async () => {
+  const [first, second] = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const unlocked = resolveConfig({ vaultFile: path.join(dir, 'unlocked.json'), keystoreDir: path.join(dir, 'keystore') });
+  await importKeys({ ...unlocked, keys: await writeKeys('unlocked.txt', [first]) });
+  assert.deepEqual(await readPrivateKeys(unlocked), [first.privateKey]);
+
+  const config = resolveConfig({ vaultFile: path.join(dir, 'other.json'), keystoreDir: path.join(dir, 'keystore') });
+  process.env.OPENVERSE_PASSPHRASE = 'another passphrase';
+  try {
+    await importKeys({ ...config, keys: await writeKeys('other.txt', [second]) });
+    // The cached passphrase fails once and is dropped, so the next cycle asks again
+    assert.deepEqual(await readPrivateKeys(config), []);
+    assert.deepEqual(await readPrivateKeys(config), [second.privateKey]);
+  } finally {
+    process.env.OPENVERSE_PASSPHRASE = PASSPHRASE;
+  }
+});
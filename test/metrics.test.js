@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { createMockServer } from '../mock/server.js';
+import { createMetrics, startMetricsServer } from '../src/metrics.js';
+import { logger, resolveConfig, runCycle } from '../index.js';
+
+test('a cycle feeds /metrics and /healthz', async () => {
+  logger.sinks = [];
+  const mock = createMockServer();
+  await mock.listen();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-metrics-'));
+  const metrics = createMetrics();
+  const server = await startMetricsServer(metrics, { port: 0 });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    const keys = path.join(dir, 'keys.txt');
+    await fs.writeFile(keys, wallets.map(wallet => wallet.privateKey).join('\n'));
+    const config = resolveConfig({
+      baseUrl: mock.url,
+      ipCheckUrl: null,
+      keys,
+      sessionDir: path.join(dir, 'sessions'),
+      checkpointFile: path.join(dir, 'checkpoint.json'),
+      historyFile: path.join(dir, 'history.jsonl'),
+      reportDir: null,
+      retryBackoff: '10ms',
+      taskDelay: 0,
+      accountDelay: 0
+    });
+
+    const before = await axios.get(`${base}/healthz`);
+    assert.equal(before.data.lastCycleFinished, false);
+
+    mock.fail('/api/bindLogin', 'malformed');
+    mock.fail('/api/task/userVisit/all', 'server_error');
+    await runCycle({ config, metrics });
+    metrics.setNextRun(Date.parse('2026-10-19T00:00:00Z'));
+
+    const { data: text, headers } = await axios.get(`${base}/metrics`);
+    assert.match(headers['content-type'], /^text\/plain/);
+    assert.match(text, /^openverse_login_attempts_total 2$/m);
+    assert.match(text, /^openverse_login_failures_total 1$/m);
+    assert.match(text, /^openverse_tasks_total\{category="UserVisit",outcome="completed"\} 2$/m);
+    assert.match(text, /^openverse_tasks_total\{category="AdvanceVisit",outcome="completed"\} 1$/m);
+    assert.match(text, /^openverse_request_retries_total\{endpoint="\/api\/task\/userVisit\/all",kind="server"\} 1$/m);
+    assert.match(text, /^openverse_request_duration_seconds_count\{method="GET",endpoint="\/api\/user"\} 2$/m);
+    assert.match(text, /^openverse_request_duration_seconds_bucket\{method="GET",endpoint="\/api\/user",le="\+Inf"\} 2$/m);
+    assert.match(text, new RegExp(`^openverse_account_points\\{address="${wallets[1].address}"\\} 35$`, 'm'));
+    assert.match(text, /^openverse_last_cycle_accounts\{result="failed"\} 1$/m);
+    assert.match(text, /^openverse_last_cycle_duration_seconds \d/m);
+
+    const { data: health } = await axios.get(`${base}/healthz`);
+    assert.equal(health.status, 'ok');
+    assert.equal(health.lastCycleFinished, true);
+    assert.equal(health.lastCycle.accounts, 2);
+    assert.equal(health.lastCycle.failedAccounts, 1);
+    assert.equal(health.nextRunAt, '2026-10-19T00:00:00.000Z');
+
+    await assert.rejects(axios.get(`${base}/nope`), error => error.response.status === 404);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await mock.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
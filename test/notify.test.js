@@ -0,0 +1,143 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { createMockServer } from '../mock/server.js';
+import { createNotifier, formatNotification } from '../src/notify.js';
+import { logger, resolveConfig, runCycle } from '../index.js';
+
+const POLICY = { retries: 2, backoff: 10, maxBackoff: 10, deadline: 5000, timeout: 2000 };
+
+let hook;
+let received;
+let failNext;
+
+before(async () => {
+  logger.sinks = [];
+  hook = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (failNext > 0) {
+        failNext--;
+        res.writeHead(500).end();
+        return;
+      }
+      received.push({ path: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf-8')) });
+      res.writeHead(200, { 'content-type': 'application/json' }).end('{"ok":true}');
+    });
+  });
+  await new Promise(resolve => hook.listen(0, '127.0.0.1', resolve));
+});
+
+beforeEach(() => {
+  received = [];
+  failNext = 0;
+});
+
+after(() => new Promise(resolve => hook.close(resolve)));
+
+const hookUrl = pathname => `http://127.0.0.1:${hook.address().port}${pathname}`;
+
+const summary = {
+  event: 'cycle_summary',
+  accounts: 2,
+  ok: 1,
+  failed: 1,
+  pointsGained: 35,
+  failedAccounts: [{ index: 2, address: '0x1234567890abcdef1234567890abcdef12345678', error: 'Login failed' }]
+};
+
+test('each sink type posts its own format', async () => {
+  const notifier = createNotifier({
+    sinks: [
+      { type: 'webhook', url: hookUrl('/hook'), headers: { 'x-token': 'abc' } },
+      { type: 'telegram', botToken: '123:ABC', chatId: 42, apiUrl: hookUrl('') },
+      { type: 'discord', url: hookUrl('/discord') }
+    ]
+  }, POLICY);
+
+  const results = await notifier.notify(summary);
+  assert.deepEqual(results.map(result => result.ok), [true, true, true]);
+
+  const [webhook, telegram, discord] = received;
+  assert.equal(webhook.path, '/hook');
+  assert.equal(webhook.headers['x-token'], 'abc');
+  assert.deepEqual(webhook.body, summary);
+  assert.equal(telegram.path, '/bot123:ABC/sendMessage');
+  assert.equal(telegram.body.chat_id, 42);
+  assert.equal(telegram.body.text, formatNotification(summary));
+  assert.equal(discord.path, '/discord');
+  assert.match(discord.body.content, /2 accounts, 1 OK, 1 failed, \+35 points\n- Account 2 \(0x1234…5678\): Login failed/);
+});
+
+test('sinks only receive their configured events and delivery errors are reported', async () => {
+  const notifier = createNotifier({
+    sinks: [
+      { type: 'webhook', url: hookUrl('/alerts'), events: ['account_failure'] },
+      { type: 'webhook', url: 'http://127.0.0.1:1/closed', name: 'closed' }
+    ]
+  }, POLICY);
+
+  const results = await notifier.notify(summary);
+  assert.deepEqual(results.map(result => [result.sink, result.ok]), [['closed', false]]);
+  assert.equal(received.length, 0);
+
+  failNext = 1;
+  const alert = await notifier.notify({ event: 'account_failure', index: 1, address: null, consecutiveFailures: 3, error: 'boom' });
+  assert.equal(alert[0].ok, true);
+  assert.equal(received[0].body.consecutiveFailures, 3);
+});
+
+test('invalid notification settings are rejected', () => {
+  assert.throws(() => createNotifier({ sinks: [{ type: 'email' }] }), /type must be one of/);
+  assert.throws(() => createNotifier({ sinks: [{ type: 'telegram', botToken: 'x' }] }), /chatId/);
+  assert.throws(() => createNotifier({ sinks: [{ type: 'webhook', url: 'x', events: ['daily'] }] }), /unknown events: daily/);
+  assert.throws(() => createNotifier({ failureThreshold: 0 }), /failureThreshold/);
+});
+
+test('runCycle alerts once an account fails the configured number of cycles in a row', async () => {
+  const mock = createMockServer();
+  await mock.listen();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-notify-'));
+  try {
+    const keys = path.join(dir, 'keys.txt');
+    await fs.writeFile(keys, ethers.Wallet.createRandom().privateKey);
+    const config = resolveConfig({
+      baseUrl: mock.url,
+      ipCheckUrl: null,
+      keys,
+      sessionDir: path.join(dir, 'sessions'),
+      checkpointFile: path.join(dir, 'checkpoint.json'),
+      historyFile: path.join(dir, 'history.jsonl'),
+      stateFile: path.join(dir, 'state.json'),
+      reportDir: null,
+      retryBackoff: '10ms',
+      taskDelay: 0,
+      accountDelay: 0
+    });
+    const notifier = createNotifier({
+      failureThreshold: 2,
+      sinks: [{ type: 'webhook', url: hookUrl('/hook') }]
+    }, POLICY);
+    const ctx = { config, state: { accounts: {} }, notifier };
+
+    mock.fail('/api/bindLogin', 'malformed', 3);
+    for (let cycle = 0; cycle < 3; cycle++) {
+      await runCycle(ctx);
+    }
+
+    const events = received.map(request => request.body.event);
+    assert.deepEqual(events, ['cycle_summary', 'account_failure', 'cycle_summary', 'cycle_summary']);
+    const alert = received[1].body;
+    assert.equal(alert.consecutiveFailures, 2);
+    assert.match(alert.error, /Malformed response/);
+    assert.equal(received[0].body.failed, 1);
+  } finally {
+    await mock.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
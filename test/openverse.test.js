@@ -0,0 +1,485 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { createMockServer } from '../mock/server.js';
+import {
+  logger,
+  resolveConfig,
+  OpenverseClient,
+  AuthError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  ResponseError,
+  TaskAlreadyDone,
+  processAccount,
+  runCycle
+} from '../index.js';
+import { createSchedule } from '../src/scheduler.js';
+import { Dashboard } from '../src/dashboard.js';
+
+let mock;
+let sessionDir;
+let config;
+
+before(async () => {
+  logger.sinks = [];
+  sessionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-sessions-'));
+});
+
+beforeEach(async () => {
+  mock = createMockServer();
+  await mock.listen();
+  config = resolveConfig({
+    baseUrl: mock.url,
+    ipCheckUrl: null,
+    sessionDir,
+    reportDir: null,
+    checkpointFile: path.join(sessionDir, 'checkpoint.json'),
+    historyFile: path.join(sessionDir, 'history.jsonl'),
+    retryBackoff: '10ms',
+    taskDelay: 0,
+    accountDelay: 0
+  });
+});
+
+after(async () => {
+  await fs.rm(sessionDir, { recursive: true, force: true });
+});
+
+async function withMock(fn) {
+  try {
+    await fn();
+  } finally {
+    await mock.close();
+  }
+}
+
+function createClient(wallet = ethers.Wallet.createRandom(), options = {}) {
+  return new OpenverseClient(wallet, { baseUrl: mock.url, backoff: 10, ...options });
+}
+
+function runAccount(privateKey) {
+  return processAccount({ privateKey, index: 0, total: 1 }, { config });
+}
+
+test('login signs in and keeps the XSRF cookie in the jar', () => withMock(async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const client = createClient(wallet);
+  const logins = [];
+  client.on('login', event => logins.push(event.address));
+  const session = await client.login();
+
+  assert.equal(session.address, wallet.address);
+  assert.ok(session.accessToken);
+  assert.deepEqual(logins, [wallet.address]);
+  const cookies = client.session.jar.getCookiesSync(`${mock.url}/`).map(cookie => cookie.key);
+  assert.deepEqual(cookies.sort(), ['XSRF-TOKEN', 'openverse_session']);
+}));
+
+test('login fails on a malformed bindLogin response', () => withMock(async () => {
+  mock.fail('/api/bindLogin', 'malformed');
+  await assert.rejects(createClient().login(), /Malformed response/);
+}));
+
+test('listTasks returns the pending tasks of both categories', () => withMock(async () => {
+  const tasks = await createClient().listTasks();
+
+  assert.deepEqual(tasks.map(task => [task.id, task.category, task.points]), [
+    ['UV_DAILY_CHECKIN_000001', 'UserVisit', 10],
+    ['UV_VISIT_WEBSITE_000002', 'UserVisit', 5],
+    ['AV_FOLLOW_X_000003', 'AdvanceVisit', 20]
+  ]);
+}));
+
+test('listTasks retries 500 and 429 responses and emits retry events', () => withMock(async () => {
+  const client = createClient();
+  const retries = [];
+  client.on('retry', event => retries.push(event.kind));
+  await client.login();
+  mock.fail('/api/task/userVisit/all', 'server_error');
+  mock.fail('/api/task/advanceVisit/all', 'rate_limit');
+
+  const tasks = await client.listTasks();
+  assert.equal(tasks.length, 3);
+  assert.deepEqual(retries, ['server', 'rate_limit']);
+}));
+
+test('an expired session triggers one relogin, or an auth error without autoRelogin', () => withMock(async () => {
+  const client = createClient();
+  const relogins = [];
+  client.on('relogin', event => relogins.push(event.address));
+  await client.login();
+  mock.expireTokens();
+
+  assert.equal((await client.listTasks()).length, 3);
+  assert.equal(relogins.length, 1);
+
+  client.autoRelogin = false;
+  mock.expireTokens();
+  await assert.rejects(client.listTasks(), error => error.kind === 'auth');
+}));
+
+test('completeTask completes a task and recognises it as already done afterwards', () => withMock(async () => {
+  const client = createClient();
+  const [task] = await client.listTasks();
+
+  const first = await client.completeTask(task);
+  assert.equal(first.status, 'completed');
+  assert.equal(first.resCode, 0);
+
+  const second = await client.completeTask(task);
+  assert.equal(second.status, 'already_done');
+  assert.equal(second.resMsg, 'You have finished this task yet!');
+}));
+
+test('completeTask survives XSRF token rotation between requests', () => withMock(async () => {
+  const client = createClient();
+  const results = [];
+  client.on('task', result => results.push(result.status));
+
+  for (const task of await client.listTasks()) {
+    await client.completeTask(task);
+  }
+  assert.deepEqual(results, ['completed', 'completed', 'completed']);
+}));
+
+test('getUser returns the points and rejects malformed JSON', () => withMock(async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const client = createClient(wallet);
+
+  const user = await client.getUser();
+  assert.equal(user.address, wallet.address);
+  assert.equal(user.point, 0);
+
+  mock.fail('/api/user', 'malformed');
+  await assert.rejects(client.getUser(), /Malformed response/);
+}));
+
+test('client failures are typed with endpoint, status, res_code and res_msg', () => withMock(async () => {
+  const client = createClient(undefined, { retries: 2, autoRelogin: false });
+  mock.fail('/api/bindLogin', 'rejected');
+  await assert.rejects(client.login(), error => error instanceof AuthError && error.message === 'Login failed: Request rejected' &&
+    error.endpoint === '/api/bindLogin' && error.status === 200 && error.resCode === 1 && error.resMsg === 'Request rejected');
+
+  await client.login();
+  mock.fail('/api/task/userVisit/all', 'server_error', 2);
+  await assert.rejects(client.listTasks(), error => error instanceof ServerError && error.status === 500 && error.endpoint === '/api/task/userVisit/all');
+  mock.fail('/api/user', 'rate_limit', 2);
+  await assert.rejects(client.getUser(), error => error instanceof RateLimitError && error.status === 429);
+  mock.fail('/api/user', 'malformed');
+  await assert.rejects(client.getUser(), error => error instanceof ResponseError && error.kind === 'response');
+  mock.expireTokens();
+  await assert.rejects(client.getUser(), error => error instanceof AuthError && error.status === 401);
+
+  const offline = new OpenverseClient(ethers.Wallet.createRandom(), { baseUrl: 'http://127.0.0.1:9', retries: 1 });
+  await assert.rejects(offline.login(), error => error instanceof NetworkError && error.kind === 'network' && error.status === null);
+}));
+
+test('completeTask explains a task that was not completed', () => withMock(async () => {
+  const client = createClient();
+  const [task] = await client.listTasks();
+  mock.fail('/api/task/userVisit/done', 'rejected');
+  const failed = await client.completeTask(task);
+  assert.equal(failed.status, 'failed');
+  assert.ok(failed.error instanceof ResponseError);
+  assert.deepEqual(failed.error.toJSON(), {
+    type: 'ResponseError',
+    kind: 'response',
+    endpoint: '/api/task/userVisit/done',
+    status: 200,
+    resCode: 1,
+    resMsg: 'Request rejected',
+    message: `Task ${task.id} failed: Request rejected`
+  });
+
+  assert.equal((await client.completeTask(task)).error, null);
+  assert.ok((await client.completeTask(task)).error instanceof TaskAlreadyDone);
+}));
+
+test('the client rejects unsupported proxy schemes', () => withMock(async () => {
+  assert.throws(() => createClient(undefined, { proxy: 'ftp://127.0.0.1:21' }), /Unsupported proxy/);
+}));
+
+test('processAccount completes every task and reports the point delta', () => withMock(async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const report = await runAccount(wallet.privateKey);
+
+  assert.equal(report.error, null);
+  assert.equal(report.address, wallet.address);
+  assert.equal(report.pointsBefore, 0);
+  assert.equal(report.pointsAfter, 35);
+  assert.deepEqual(report.tasks.map(task => task.outcome), ['completed', 'completed', 'completed']);
+}));
+
+test('processAccount marks scripted "already finished" answers as already done', () => withMock(async () => {
+  mock.fail('/api/task/userVisit/done', 'already_done');
+  const report = await runAccount(ethers.Wallet.createRandom().privateKey);
+
+  assert.deepEqual(report.tasks.map(task => task.outcome), ['already_done', 'completed', 'completed']);
+  assert.equal(report.pointsAfter, 25);
+}));
+
+test('processAccount reuses the cached session and logs in again when it expired', () => withMock(async () => {
+  const wallet = ethers.Wallet.createRandom();
+  await runAccount(wallet.privateKey);
+  const loginsAfterFirstRun = mock.requests.filter(request => request.path === '/api/bindLogin').length;
+  assert.equal(loginsAfterFirstRun, 1);
+
+  mock.fail('/api/user', 'expired');
+  const report = await runAccount(wallet.privateKey);
+
+  assert.equal(report.error, null);
+  assert.equal(report.pointsBefore, 35);
+  assert.equal(mock.requests.filter(request => request.path === '/api/bindLogin').length, 2);
+}));
+
+test('processAccount logs in again when a fresh session expires mid-run', () => withMock(async () => {
+  mock.fail('/api/task/userVisit/all', 'expired');
+  const report = await runAccount(ethers.Wallet.createRandom().privateKey);
+
+  assert.equal(report.error, null);
+  assert.equal(report.pointsAfter, 35);
+  assert.equal(mock.requests.filter(request => request.path === '/api/bindLogin').length, 2);
+}));
+
+test('processAccount in dry-run mode applies the task filter and completes nothing', () => withMock(async () => {
+  config = { ...config, dryRun: true, taskFilter: { exclude: [{ code: 'UV_VISIT_*' }] }, taskOrder: 'points-desc' };
+  const report = await runAccount(ethers.Wallet.createRandom().privateKey);
+
+  assert.equal(report.error, null);
+  assert.equal(report.tasks.length, 0);
+  assert.equal(mock.requests.filter(request => request.path.endsWith('/done')).length, 0);
+}));
+
+test('processAccount records a login failure instead of throwing', () => withMock(async () => {
+  mock.fail('/api/bindLogin', 'malformed');
+  const report = await runAccount(ethers.Wallet.createRandom().privateKey);
+
+  assert.match(report.error, /Malformed response/);
+  assert.equal(report.tasks.length, 0);
+}));
+
+test('processAccount records why each step failed', () => withMock(async () => {
+  mock.fail('/api/bindLogin', 'rejected');
+  const rejected = await runAccount(ethers.Wallet.createRandom().privateKey);
+  assert.equal(rejected.error, 'Login failed: Request rejected');
+  assert.deepEqual(rejected.failures, [{
+    step: 'login',
+    type: 'AuthError',
+    kind: 'auth',
+    endpoint: '/api/bindLogin',
+    status: 200,
+    resCode: 1,
+    resMsg: 'Request rejected',
+    message: 'Login failed: Request rejected'
+  }]);
+
+  mock.fail('/api/task/advanceVisit/done', 'rejected');
+  mock.fail('/api/user', 'server_error', 3);
+  const report = await runAccount(ethers.Wallet.createRandom().privateKey);
+  assert.equal(report.error, null);
+  assert.deepEqual(report.tasks.map(task => task.outcome), ['completed', 'completed', 'failed']);
+  assert.deepEqual(report.failures.map(({ step, task, type, status, resMsg }) => ({ step, task, type, status, resMsg })), [
+    { step: 'user', task: undefined, type: 'ServerError', status: 500, resMsg: null },
+    { step: 'task', task: 'AV_FOLLOW_X_000003', type: 'ResponseError', status: 200, resMsg: 'Request rejected' }
+  ]);
+}));
+
+test('runCycle with dueOnly skips accounts that already succeeded in the current slot', () => withMock(async () => {
+  const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const keys = path.join(sessionDir, 'keys.txt');
+  await fs.writeFile(keys, wallets.map(wallet => wallet.privateKey).join('\n'));
+  const state = {
+    accounts: {
+      [wallets[0].address.toLowerCase()]: { lastSuccess: new Date().toISOString() }
+    }
+  };
+  const ctx = {
+    config: { ...config, keys, stateFile: path.join(sessionDir, 'state.json') },
+    schedule: createSchedule({ resetTime: '00:00' }),
+    state
+  };
+
+  const { run, nextRunAt } = await runCycle(ctx, { dueOnly: true });
+  assert.deepEqual(run.accounts.map(account => account.address), [wallets[1].address]);
+  assert.ok(state.accounts[wallets[1].address.toLowerCase()].lastSuccess);
+  assert.ok(nextRunAt > Date.now());
+
+  const saved = JSON.parse(await fs.readFile(ctx.config.stateFile, 'utf-8'));
+  assert.deepEqual(Object.keys(saved.accounts).sort(), Object.keys(state.accounts).sort());
+  const history = (await fs.readFile(config.historyFile, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(history.at(-1).address, wallets[1].address);
+  assert.equal(history.at(-1).pointsAfter, 35);
+  assert.equal((await runCycle(ctx, { dueOnly: true })).run, null);
+}));
+
+test('runCycle stops before the next task on abort and resumes from the checkpoint', () => withMock(async () => {
+  const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const keys = path.join(sessionDir, 'keys.txt');
+  await fs.writeFile(keys, wallets.map(wallet => wallet.privateKey).join('\n'));
+  const controller = new AbortController();
+  const metrics = {
+    observeClient: client => client.on('task', () => controller.abort()),
+    recordAccount() {},
+    cycleStarted() {},
+    cycleFinished() {}
+  };
+  const ctx = { config: { ...config, keys }, metrics, signal: controller.signal };
+
+  const stopped = await runCycle(ctx);
+  assert.equal(stopped.run, null);
+  assert.equal(stopped.interrupted, true);
+  const checkpoint = JSON.parse(await fs.readFile(config.checkpointFile, 'utf-8'));
+  assert.deepEqual(checkpoint.accounts, wallets.map(wallet => wallet.address.toLowerCase()));
+  const first = checkpoint.reports[wallets[0].address.toLowerCase()];
+  assert.equal(first.interrupted, true);
+  assert.equal(first.tasks.length, 1);
+  assert.equal(checkpoint.reports[wallets[1].address.toLowerCase()], undefined);
+
+  const { run } = await runCycle({ ...ctx, metrics: null, signal: null });
+  assert.equal(run.startedAt, checkpoint.startedAt);
+  assert.deepEqual(run.accounts.map(account => account.address), wallets.map(wallet => wallet.address));
+  assert.deepEqual(run.accounts.map(account => account.tasks.length), [3, 3]);
+  assert.equal(run.accounts[0].startedAt, first.startedAt);
+  assert.equal(mock.requests.filter(request => request.path.endsWith('/done')).length, 6);
+  await assert.rejects(fs.access(config.checkpointFile), { code: 'ENOENT' });
+}));
+
+function plantCheckpoint(startedAt, wallet) {
+  const key = wallet.address.toLowerCase();
+  const checkIn = { code: 'UV_DAILY_CHECKIN_000001', title: 'Daily Check-in', category: 'UserVisit', points: 10, outcome: 'completed', message: 'success' };
+  const report = { index: 1, label: null, group: null, address: wallet.address, pointsBefore: 0, pointsAfter: null, tasks: [checkIn], error: null, failures: [], startedAt, finishedAt: null, interrupted: true };
+  return fs.writeFile(config.checkpointFile, JSON.stringify({ startedAt, accounts: [key], reports: { [key]: report } }));
+}
+
+test('runCycle discards a checkpoint from an earlier slot and attempts every task the server lists', () => withMock(async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const keys = path.join(sessionDir, 'keys.txt');
+  await fs.writeFile(keys, wallet.privateKey);
+  const ctx = { config: { ...config, keys }, schedule: createSchedule({ interval: 86400 }) };
+  const checkIns = () => mock.requests.filter(request => request.path === '/api/task/userVisit/done').length;
+
+  const stale = new Date(Date.now() - 2 * 86400 * 1000).toISOString();
+  await plantCheckpoint(stale, wallet);
+  const { run } = await runCycle(ctx);
+  assert.notEqual(run.startedAt, stale);
+  assert.ok(run.accounts[0].startedAt >= run.startedAt);
+  assert.deepEqual(run.accounts[0].tasks.map(task => [task.code, task.outcome]), [
+    ['UV_DAILY_CHECKIN_000001', 'completed'],
+    ['UV_VISIT_WEBSITE_000002', 'completed'],
+    ['AV_FOLLOW_X_000003', 'completed']
+  ]);
+  assert.equal(checkIns(), 2);
+
+  // A current checkpoint is resumed, but a task it claims that the server still lists is attempted again
+  const other = ethers.Wallet.createRandom();
+  await fs.writeFile(keys, other.privateKey);
+  const recent = new Date(Date.now() - 60 * 1000).toISOString();
+  await plantCheckpoint(recent, other);
+  const resumed = await runCycle(ctx);
+  assert.equal(resumed.run.startedAt, recent);
+  assert.deepEqual(resumed.run.accounts[0].tasks.map(task => task.code).sort(), ['AV_FOLLOW_X_000003', 'UV_DAILY_CHECKIN_000001', 'UV_VISIT_WEBSITE_000002']);
+  assert.equal(checkIns(), 4);
+  assert.equal(resumed.run.accounts[0].pointsAfter, 35);
+}));
+
+test('runCycle discards a corrupt checkpoint and starts a new cycle', () => withMock(async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const keys = path.join(sessionDir, 'keys.txt');
+  await fs.writeFile(keys, wallet.privateKey);
+  const ctx = { config: { ...config, keys }, schedule: createSchedule({ interval: 86400 }) };
+
+  for (const corrupt of ['{"startedAt":"2026-10-18T12:00:00.000Z","accounts":["0x', '[]']) {
+    await fs.writeFile(config.checkpointFile, corrupt);
+    const { run } = await runCycle(ctx);
+    assert.equal(run.accounts.length, 1);
+    assert.equal(run.accounts[0].pointsAfter, 35);
+    await assert.rejects(fs.access(config.checkpointFile), { code: 'ENOENT' });
+  }
+}));
+
+test('runCycle reads labels, groups and per-account task filters from an accounts file', () => withMock(async () => {
+  const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const accountsFile = path.join(sessionDir, 'accounts.yaml');
+  await fs.writeFile(accountsFile, [
+    `- { key: "${wallets[0].privateKey}", label: alice, group: team-a, taskFilter: { include: [{ code: "UV_*" }] } }`,
+    `- { key: "${wallets[1].privateKey}", label: bob, group: team-b }`,
+    `- { key: "${wallets[2].privateKey}", label: carol, group: team-a, enabled: false }`
+  ].join('\n'));
+
+  const { run } = await runCycle({ config: { ...config, accountsFile, group: ['team-a'] } });
+  assert.equal(run.accounts.length, 1);
+  const [report] = run.accounts;
+  assert.equal(report.label, 'alice');
+  assert.equal(report.group, 'team-a');
+  assert.equal(report.address, wallets[0].address);
+  assert.deepEqual(report.tasks.map(task => task.code), ['UV_DAILY_CHECKIN_000001', 'UV_VISIT_WEBSITE_000002']);
+}));
+
+test('runCycle skips and retries accounts from the dashboard', () => withMock(async () => {
+  const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const keys = path.join(sessionDir, 'keys.txt');
+  await fs.writeFile(keys, wallets.map(wallet => wallet.privateKey).join('\n'));
+  const dashboard = new Dashboard({ output: null, input: null });
+  const updateAccount = dashboard.updateAccount.bind(dashboard);
+  dashboard.updateAccount = (index, patch) => {
+    updateAccount(index, patch);
+    if (index === 1 && patch.state === 'failed') dashboard.emit('retry');
+    if (index === 3 && patch.state === 'logging in') dashboard.emit('skip', 3);
+  };
+  mock.fail('/api/bindLogin', 'malformed', 1);
+
+  const { run } = await runCycle({ config: { ...config, keys }, dashboard });
+  assert.deepEqual(run.accounts.map(account => [account.index, account.error]), [[1, null], [2, null]]);
+  assert.deepEqual(dashboard.view.accounts.map(row => row.state), ['done', 'done', 'skipped']);
+  assert.equal(dashboard.view.accounts[0].points, 35);
+  assert.equal(dashboard.view.cycle.running, false);
+  assert.equal(mock.requests.filter(request => request.path.endsWith('/done')).length, 6);
+}));
+
+test('a dashboard retry records the account once per cycle', () => withMock(async () => {
+  const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const [first, second] = wallets.map(wallet => wallet.address.toLowerCase());
+  const keys = path.join(sessionDir, 'retry-keys.txt');
+  const historyFile = path.join(sessionDir, 'retry-history.jsonl');
+  await fs.writeFile(keys, wallets.map(wallet => wallet.privateKey).join('\n'));
+  const dashboard = new Dashboard({ output: null, input: null });
+  const updateAccount = dashboard.updateAccount.bind(dashboard);
+  const failures = new Map();
+  dashboard.updateAccount = (index, patch) => {
+    updateAccount(index, patch);
+    if (patch.state !== 'failed') return;
+    failures.set(index, (failures.get(index) ?? 0) + 1);
+    if (failures.get(index) > 1) return;
+    // Account 2 cannot log in, neither the first time nor on the retry
+    if (index === 1) mock.fail('/api/bindLogin', 'malformed', 2);
+    dashboard.emit('retry');
+  };
+  const recorded = [];
+  const metrics = { observeClient() {}, recordAccount: report => recorded.push(...report.tasks), cycleStarted() {}, cycleFinished() {} };
+  const state = { accounts: { [second]: { lastAttempt: '2026-10-17T00:00:00.000Z', consecutiveFailures: 2 } } };
+  // Account 1 does every task, then fails to read its points
+  mock.fail('/api/user', 'malformed', 2);
+
+  const ctx = { config: { ...config, keys, historyFile, stateFile: path.join(sessionDir, 'retry-state.json') }, dashboard, metrics, state };
+  const { run } = await runCycle(ctx);
+  assert.deepEqual([...failures], [[1, 1], [2, 2]]);
+  assert.deepEqual(run.accounts.map(account => [account.index, account.tasks.length, account.error === null]), [[1, 3, true], [2, 0, false]]);
+  assert.equal(run.accounts[0].pointsAfter, 35);
+
+  assert.equal(recorded.length, 3);
+  assert.equal(mock.requests.filter(request => request.path.endsWith('/done')).length, 3);
+  const history = (await fs.readFile(historyFile, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(history.map(entry => [entry.address.toLowerCase(), entry.tasks.length, entry.error === null]), [
+    [first, 3, false],
+    [second, 0, false],
+    [first, 0, true],
+    [second, 0, false]
+  ]);
+  assert.deepEqual(state.accounts[first], { lastAttempt: run.startedAt, lastSuccess: run.startedAt, consecutiveFailures: 0 });
+  assert.deepEqual(state.accounts[second], { lastAttempt: run.startedAt, consecutiveFailures: 3 });
+}));
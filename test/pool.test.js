@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { createMockServer } from '../mock/server.js';
+import { logger, resolveConfig, createRateLimiter, runCycle } from '../index.js';
+import { runPool } from '../src/runner.js';
+import { delay } from '../src/utils.js';
+
+let dir;
+
+before(async () => {
+  logger.sinks = [];
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-pool-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('the rate limiter spaces requests across callers', async () => {
+  const limiter = createRateLimiter(20);
+  const startedAt = Date.now();
+  const times = await Promise.all(Array.from({ length: 5 }, async () => {
+    await limiter.acquire();
+    return Date.now() - startedAt;
+  }));
+  times.sort((a, b) => a - b);
+  assert.ok(times[0] < 100, `first request waited ${times[0]}ms`);
+  assert.ok(times[4] >= 190, `five requests at 20/s took only ${times[4]}ms`);
+
+  const unlimited = createRateLimiter(0);
+  const before = Date.now();
+  await Promise.all(Array.from({ length: 50 }, () => unlimited.acquire()));
+  assert.ok(Date.now() - before < 100);
+});
+
+test('runPool starts items in order, keeps to the concurrency and survives a failing worker', async () => {
+  const started = [];
+  const finished = [];
+  let running = 0;
+  let peak = 0;
+  await runPool([0, 1, 2, 3, 4], 2, async item => {
+    started.push(item);
+    running++;
+    peak = Math.max(peak, running);
+    await delay(item === 0 ? 0.05 : 0.01);
+    running--;
+    if (item === 1) throw new Error('account 2 broke');
+    finished.push(item);
+  });
+
+  assert.deepEqual(started, [0, 1, 2, 3, 4]);
+  assert.deepEqual(finished.sort(), [0, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
+
+test('runPool stops taking items once aborted', async () => {
+  const controller = new AbortController();
+  const started = [];
+  await runPool([0, 1, 2, 3], 1, async item => {
+    started.push(item);
+    if (item === 1) controller.abort();
+  }, 0, controller.signal);
+  assert.deepEqual(started, [0, 1]);
+});
+
+test('buffered output of parallel accounts is printed in one block each', async () => {
+  const written = [];
+  const sink = { pretty: true, minLevel: 'debug', stream: { write: text => written.push(text) }, write() {} };
+  logger.sinks = [sink];
+  try {
+    const account = name => logger.buffered(true, async () => {
+      logger.print(`${name} start`);
+      await delay(name === 'A' ? 0.03 : 0.01);
+      logger.print(`${name} end`);
+    });
+    await Promise.all([account('A'), account('B')]);
+  } finally {
+    logger.sinks = [];
+  }
+  assert.deepEqual(written, ['B start\n', 'B end\n', 'A start\n', 'A end\n']);
+});
+
+test('runCycle with workers finishes the other accounts when one fails', async () => {
+  const mock = createMockServer();
+  await mock.listen();
+  try {
+    const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    const keys = path.join(dir, 'keys.txt');
+    await fs.writeFile(keys, wallets.map(wallet => wallet.privateKey).join('\n'));
+    const config = resolveConfig({
+      baseUrl: mock.url,
+      ipCheckUrl: null,
+      keys,
+      sessionDir: path.join(dir, 'sessions'),
+      checkpointFile: path.join(dir, 'checkpoint.json'),
+      historyFile: path.join(dir, 'history.jsonl'),
+      reportDir: null,
+      concurrency: 2,
+      rateLimit: 50,
+      retries: 1,
+      taskDelay: 0,
+      accountDelay: 0
+    });
+    mock.fail('/api/bindLogin', 'malformed');
+
+    const { run } = await runCycle({ config });
+    assert.deepEqual(run.accounts.map(report => report.index), [1, 2, 3]);
+    assert.equal(run.accounts.filter(report => report.error).length, 1);
+    assert.deepEqual(run.accounts.filter(report => !report.error).map(report => report.pointsAfter), [35, 35]);
+  } finally {
+    await mock.close();
+  }
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { createMockServer } from '../mock/server.js';
+import { OpenverseClient, createTaskRegistry, loadTaskPlugins, defineTaskProvider } from '../index.js';
+
+let pluginDir;
+
+before(async () => {
+  pluginDir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-plugins-'));
+});
+
+after(async () => {
+  await fs.rm(pluginDir, { recursive: true, force: true });
+});
+
+test('the built-in providers cover both task categories', () => {
+  assert.deepEqual(createTaskRegistry().categories(), ['UserVisit', 'AdvanceVisit']);
+});
+
+test('the default provider recognises "already done" answers however they are worded', () => {
+  const [provider] = createTaskRegistry().list();
+  assert.equal(provider.isAlreadyDone({ res_code: 1, res_msg: 'You have finished this task yet!' }), true);
+  assert.equal(provider.isAlreadyDone({ res_code: 1, res_msg: 'you have finished this task yet' }), true);
+  assert.equal(provider.isAlreadyDone({ res_code: 1, res_msg: 'Task already completed.' }), true);
+  assert.equal(provider.isAlreadyDone({ res_code: 1, res_msg: 'This task has already been done' }), true);
+  assert.equal(provider.isAlreadyDone({ res_code: 1, res_msg: 'Task not found' }), false);
+  assert.equal(provider.isAlreadyDone({ res_code: 1, res_msg: null }), false);
+});
+
+test('provider definitions are validated', () => {
+  assert.throws(() => defineTaskProvider({ listPath: '/a', donePath: '/b' }), /category/);
+  assert.throws(() => defineTaskProvider({ category: 'Quiz', listPath: 'api/quiz', donePath: '/b' }), /listPath/);
+  assert.throws(() => defineTaskProvider({ category: 'Quiz', listPath: '/a', donePath: '/b', parseTasks: 'x' }), /parseTasks must be a function/);
+});
+
+test('a plugin adds a category the client lists and completes', async () => {
+  await fs.writeFile(path.join(pluginDir, 'quiz.mjs'), `
+    export default {
+      category: 'DailyQuiz',
+      listPath: '/api/task/dailyQuiz/all',
+      donePath: '/api/task/dailyQuiz/done',
+      donePayload: task => ({ task_code: task.id, answer: 'b' })
+    };
+  `);
+  const registry = createTaskRegistry();
+  const loaded = await loadTaskPlugins(pluginDir, registry);
+  assert.deepEqual(loaded, [{ file: 'quiz.mjs', categories: ['DailyQuiz'] }]);
+
+  const mock = createMockServer({
+    tasks: {
+      userVisit: [],
+      advanceVisit: [],
+      dailyQuiz: [{ task_code: 'DQ_ANSWER_000009', title: 'Answer the quiz', reward_point: 15 }]
+    }
+  });
+  await mock.listen();
+  try {
+    const client = new OpenverseClient(ethers.Wallet.createRandom(), { baseUrl: mock.url, registry });
+    const tasks = await client.listTasks();
+    assert.deepEqual(tasks.map(task => [task.id, task.category, task.points]), [['DQ_ANSWER_000009', 'DailyQuiz', 15]]);
+
+    assert.equal((await client.completeTask(tasks[0])).status, 'completed');
+    assert.equal((await client.completeTask(tasks[0])).status, 'already_done');
+    await assert.rejects(client.completeTask({ ...tasks[0], category: 'Unknown' }), /No task provider/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('broken plugins fail loudly and a missing directory loads nothing', async () => {
+  assert.deepEqual(await loadTaskPlugins(path.join(pluginDir, 'missing'), createTaskRegistry()), []);
+
+  const brokenDir = await fs.mkdtemp(path.join(pluginDir, 'broken-'));
+  await fs.writeFile(path.join(brokenDir, 'bad.js'), 'export default { category: "Bad" };');
+  await assert.rejects(loadTaskPlugins(brokenDir, createTaskRegistry()), /Failed to load task plugin bad\.js: .*listPath/);
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { createMockServer } from '../mock/server.js';
+import { logger, resolveConfig, processAccount } from '../index.js';
+import { createRecorder, readRecording, recordedAccounts, createReplay } from '../src/recording.js';
+import { loadSession, saveSession } from '../src/sessions.js';
+
+let dir;
+
+before(async () => {
+  logger.sinks = [];
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-recording-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function createConfig(baseUrl, sessionDir) {
+  return resolveConfig({ baseUrl, ipCheckUrl: null, sessionDir, reportDir: null, retryBackoff: '10ms', taskDelay: 0 });
+}
+
+const outcome = report => ({
+  address: report.address,
+  error: report.error,
+  pointsBefore: report.pointsBefore,
+  pointsAfter: report.pointsAfter,
+  tasks: report.tasks.map(task => [task.code, task.outcome, task.message]),
+  failures: report.failures
+});
+
+test('a recorded run is redacted and replays offline to the same report', async () => {
+  const mock = createMockServer();
+  await mock.listen();
+  const wallet = ethers.Wallet.createRandom();
+  const sessionDir = path.join(dir, 'sessions');
+  const recorder = createRecorder(path.join(dir, 'recordings'), new Date('2026-10-18T12:00:00.123Z'));
+  let recorded;
+  try {
+    mock.fail('/api/task/userVisit/all', 'server_error');
+    mock.fail('/api/task/userVisit/done', 'rejected');
+    mock.fail('/api/task/advanceVisit/done', 'already_done');
+    recorded = await processAccount({ privateKey: wallet.privateKey, index: 0, total: 1 }, { config: createConfig(mock.url, sessionDir), recorder });
+    await recorder.save();
+  } finally {
+    await mock.close();
+  }
+  assert.equal(recorder.file, path.join(dir, 'recordings', '2026-10-18T12-00-00Z.har'));
+
+  const text = await fs.readFile(recorder.file, 'utf-8');
+  const { accessToken, jar } = await loadSession(sessionDir, wallet.address);
+  const cookieValues = jar.getCookiesSync(`${mock.url}/`).map(cookie => cookie.value);
+  for (const secret of [accessToken, await wallet.signMessage('Sign-in'), ...cookieValues]) {
+    assert.ok(!text.includes(secret), 'recording leaks a secret');
+  }
+
+  const entries = await readRecording(recorder.file);
+  assert.deepEqual(recordedAccounts(entries), [wallet.address]);
+  assert.equal(entries.length, 10);
+  const login = entries.find(entry => entry.request.url.endsWith('/api/bindLogin'));
+  assert.deepEqual(JSON.parse(login.request.postData.text), { address: wallet.address, referral_code: null, sign: '[REDACTED]' });
+  assert.equal(JSON.parse(login.response.content.text).data.access_token, '[REDACTED]');
+  assert.ok(entries.flatMap(entry => entry.request.headers).some(header => header.name === 'authorization' && header.value === 'Bearer [REDACTED]'));
+  assert.equal(entries.find(entry => entry.response.status === 500).request.url, `${mock.url}/api/task/userVisit/all`);
+
+  const playback = createReplay(entries, wallet.address);
+  assert.equal(playback.session, null);
+  const replayDir = path.join(dir, 'replay');
+  const replayed = await processAccount({ signer: playback.signer, index: 0, total: 1 }, {
+    config: createConfig(playback.baseUrl, replayDir),
+    transport: playback.transport
+  });
+  assert.deepEqual(outcome(replayed), outcome(recorded));
+  assert.deepEqual(replayed.tasks.map(task => task.outcome), ['failed', 'completed', 'already_done']);
+  assert.deepEqual(replayed.failures.map(({ step, type }) => [step, type]), [['task', 'ResponseError']]);
+  assert.deepEqual(playback.unused(), []);
+});
+
+test('a recording that started from a cached session replays with a stand-in session', async () => {
+  const mock = createMockServer();
+  await mock.listen();
+  const wallet = ethers.Wallet.createRandom();
+  const sessionDir = path.join(dir, 'cached');
+  const recorder = createRecorder(path.join(dir, 'recordings'));
+  try {
+    await processAccount({ privateKey: wallet.privateKey, index: 0, total: 1 }, { config: createConfig(mock.url, sessionDir) });
+    mock.fail('/api/user', 'malformed', 2);
+    await processAccount({ privateKey: wallet.privateKey, index: 0, total: 1 }, { config: createConfig(mock.url, sessionDir), recorder });
+  } finally {
+    await mock.close();
+  }
+  await recorder.save();
+
+  const playback = createReplay(await readRecording(recorder.file), wallet.address);
+  assert.ok(playback.session);
+  const replayDir = path.join(dir, 'cached-replay');
+  await saveSession(replayDir, playback.address, playback.session);
+  const report = await processAccount({ signer: playback.signer, index: 0, total: 1 }, {
+    config: createConfig(playback.baseUrl, replayDir),
+    transport: playback.transport
+  });
+  assert.match(report.error, /Malformed response from \/api\/user/);
+  assert.deepEqual(report.failures.map(({ step, type }) => [step, type]), [['user', 'ResponseError'], ['stats', 'ResponseError']]);
+
+  const extra = createReplay(await readRecording(recorder.file), wallet.address);
+  await assert.rejects(extra.transport({ method: 'get', url: `${mock.url}/api/unknown` }), /No recorded response for GET \/api\/unknown/);
+  assert.throws(() => createReplay([], wallet.address), /no requests for/);
+});
@@ -0,0 +1,146 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { logger } from '../index.js';
+import { summarizeAccountReport, toCsv, writeRunReport } from '../src/reports.js';
+
+let dir;
+
+before(async () => {
+  logger.sinks = [];
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-reports-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const task = (code, outcome, message) => ({ code, title: code, category: 'UserVisit', points: 5, outcome, message });
+
+function accountReport(overrides = {}) {
+  return {
+    index: 1,
+    label: 'alice',
+    group: 'team-a',
+    address: '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23',
+    pointsBefore: 10,
+    pointsAfter: 25,
+    tasks: [task('UV_1', 'completed', 'success'), task('UV_2', 'already_done', 'You have finished this task yet!'), task('AV_3', 'failed', 'Failed: Task not found')],
+    error: null,
+    failures: [{ step: 'task', type: 'ResponseError', message: 'Task AV_3 failed: Task not found' }],
+    startedAt: '2026-10-18T12:00:00.000Z',
+    finishedAt: '2026-10-18T12:01:00.000Z',
+    ...overrides
+  };
+}
+
+/** Minimal RFC 4180 reader: quoted fields may hold commas, doubled quotes and newlines. */
+function parseCsv(text) {
+  const rows = [[]];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      rows.at(-1).push(field);
+      field = '';
+    } else if (char === '\n') {
+      rows.at(-1).push(field);
+      field = '';
+      rows.push([]);
+    } else {
+      field += char;
+    }
+  }
+  return rows.filter(row => row.length > 1);
+}
+
+test('summarizeAccountReport counts outcomes and the point delta', () => {
+  const summary = summarizeAccountReport(accountReport());
+  assert.deepEqual(summary, {
+    index: 1,
+    label: 'alice',
+    group: 'team-a',
+    address: '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23',
+    points_before: 10,
+    points_after: 25,
+    points_delta: 15,
+    attempted: 3,
+    completed: 1,
+    already_done: 1,
+    failed: 1,
+    failed_tasks: 'AV_3: Failed: Task not found',
+    error: null,
+    error_step: null,
+    error_type: null,
+    started_at: '2026-10-18T12:00:00.000Z',
+    finished_at: '2026-10-18T12:01:00.000Z'
+  });
+});
+
+test('summarizeAccountReport takes the error step from the failure that ended the account', () => {
+  const summary = summarizeAccountReport(accountReport({
+    pointsAfter: null,
+    tasks: [],
+    error: 'Failed: Request failed with status code 500',
+    failures: [
+      { step: 'user', type: 'ResponseError', message: 'Malformed response from /api/user' },
+      { step: 'tasks', type: 'ServerError', message: 'Request failed with status code 500' }
+    ]
+  }));
+  assert.equal(summary.points_delta, null);
+  assert.equal(summary.attempted, 0);
+  assert.deepEqual([summary.error_step, summary.error_type], ['tasks', 'ServerError']);
+});
+
+test('toCsv quotes commas, quotes and newlines from server messages', () => {
+  const message = 'Failed: "Slow down", try\nagain, later\r\nplease';
+  const summary = summarizeAccountReport(accountReport({
+    label: 'bob, the "second"',
+    tasks: [task('AV_3', 'failed', message)],
+    error: null
+  }));
+  const csv = toCsv([summary]);
+  const [header, row] = parseCsv(csv);
+
+  assert.equal(header[0], 'index');
+  assert.equal(row.length, header.length);
+  const values = Object.fromEntries(header.map((column, i) => [column, row[i]]));
+  assert.equal(values.label, 'bob, the "second"');
+  assert.equal(values.failed_tasks, `AV_3: ${message}`);
+  assert.equal(values.group, 'team-a');
+  assert.equal(values.error, '');
+});
+
+test('writeRunReport names both files after the cycle start and totals the accounts', async () => {
+  const reportDir = path.join(dir, 'reports');
+  const run = {
+    startedAt: '2026-10-18T12:00:00.123Z',
+    finishedAt: '2026-10-18T12:05:00.000Z',
+    accounts: [accountReport(), accountReport({ index: 2, pointsBefore: 0, pointsAfter: null, error: 'Login failed', failures: [{ step: 'login', type: 'AuthError' }] })]
+  };
+  await writeRunReport(run, reportDir);
+
+  assert.deepEqual((await fs.readdir(reportDir)).sort(), ['2026-10-18T12-00-00Z.csv', '2026-10-18T12-00-00Z.json']);
+  const json = JSON.parse(await fs.readFile(path.join(reportDir, '2026-10-18T12-00-00Z.json'), 'utf-8'));
+  assert.deepEqual(json.totals, { accounts: 2, failed_accounts: 1, points_delta: 15 });
+  assert.equal(json.accounts[1].error_step, 'login');
+  assert.equal(json.accounts[0].tasks.length, 3);
+  const rows = parseCsv(await fs.readFile(path.join(reportDir, '2026-10-18T12-00-00Z.csv'), 'utf-8'));
+  assert.equal(rows.length, 3);
+
+  await writeRunReport(run, null);
+});
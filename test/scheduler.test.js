@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronTime, createSchedule, isDue, nextRunTime, recordRun } from '../src/scheduler.js';
+
+const at = text => Date.parse(text);
+
+test('nextCronTime finds the next matching UTC minute', () => {
+  const daily = parseCron('5 0 * * *');
+  assert.equal(nextCronTime(daily, at('2026-10-18T13:00:00Z')), at('2026-10-19T00:05:00Z'));
+  assert.equal(nextCronTime(daily, at('2026-10-18T00:04:59Z')), at('2026-10-18T00:05:00Z'));
+  assert.equal(nextCronTime(daily, at('2026-10-18T00:05:00Z')), at('2026-10-19T00:05:00Z'));
+
+  const twiceDaily = parseCron('0 */12 * * *');
+  assert.equal(nextCronTime(twiceDaily, at('2026-10-18T13:00:00Z')), at('2026-10-19T00:00:00Z'));
+
+  const weekdays = parseCron('30 8 * * 1-5');
+  assert.equal(nextCronTime(weekdays, at('2026-10-17T09:00:00Z')), at('2026-10-19T08:30:00Z'));
+
+  const sunday = parseCron('0 0 * * 7');
+  assert.equal(nextCronTime(sunday, at('2026-10-19T00:00:00Z')), at('2026-10-25T00:00:00Z'));
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('0 0 * *'), /5 fields/);
+  assert.throws(() => parseCron('60 0 * * *'), /Invalid cron minute/);
+  assert.throws(() => createSchedule({ schedule: '0 0 30 2 *' }), /never matches/);
+  assert.throws(() => createSchedule({ resetTime: '25:00' }), /Invalid reset time/);
+  assert.throws(() => createSchedule({ schedule: '@daily', resetTime: '00:00' }), /either/);
+});
+
+test('an account is due once the slot after its last success has passed', () => {
+  const schedule = createSchedule({ resetTime: '00:00' });
+  const entry = { lastSuccess: '2026-10-18T13:00:00.000Z' };
+
+  assert.equal(isDue(schedule, undefined, at('2026-10-18T14:00:00Z')), true);
+  assert.equal(isDue(schedule, entry, at('2026-10-18T23:59:00Z')), false);
+  assert.equal(isDue(schedule, entry, at('2026-10-19T00:00:00Z')), true);
+
+  const interval = createSchedule({ interval: 3600 });
+  assert.equal(isDue(interval, entry, at('2026-10-18T13:59:00Z')), false);
+  assert.equal(isDue(interval, entry, at('2026-10-18T14:00:00Z')), true);
+});
+
+test('failed accounts stay due but wait for the next slot in the loop', () => {
+  const schedule = createSchedule({ resetTime: '00:00' });
+  const state = { accounts: {} };
+  recordRun(state, '0xAbC', { startedAt: '2026-10-18T10:00:00.000Z', error: null });
+  recordRun(state, '0xDef', { startedAt: '2026-10-18T10:01:00.000Z', error: 'Failed: 500' });
+
+  assert.equal(isDue(schedule, state.accounts['0xabc'], at('2026-10-18T12:00:00Z')), false);
+  assert.equal(isDue(schedule, state.accounts['0xdef'], at('2026-10-18T12:00:00Z')), true);
+  assert.equal(nextRunTime(schedule, state, ['0xAbC', '0xDef'], at('2026-10-18T12:00:00Z')), at('2026-10-19T00:00:00Z'));
+  assert.equal(nextRunTime(schedule, state, ['0xAbC', '0x123'], at('2026-10-18T12:00:00Z')), at('2026-10-18T12:00:00Z'));
+});
+
+test('the accounts of one cycle become due again together', () => {
+  const interval = createSchedule({ interval: 86400 });
+  const state = { accounts: {} };
+  const cycleStartedAt = '2026-10-18T10:00:00.000Z';
+  recordRun(state, '0xAbC', { startedAt: '2026-10-18T10:00:01.000Z', error: null }, cycleStartedAt);
+  recordRun(state, '0xDef', { startedAt: '2026-10-18T10:01:00.000Z', error: null }, cycleStartedAt);
+
+  const wake = nextRunTime(interval, state, ['0xAbC', '0xDef'], at('2026-10-18T12:00:00Z'));
+  assert.equal(wake, at('2026-10-19T10:00:00Z'));
+  assert.deepEqual(['0xabc', '0xdef'].map(key => isDue(interval, state.accounts[key], wake)), [true, true]);
+});
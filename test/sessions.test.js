@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CookieJar } from 'tough-cookie';
+import { loadSession, saveSession } from '../src/sessions.js';
+
+const ADDRESS = '0xAbC0000000000000000000000000000000000001';
+const DAY = 24 * 60 * 60 * 1000;
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-session-cache-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function jwt(payload) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+}
+
+function createJar() {
+  const jar = new CookieJar();
+  jar.setCookieSync('XSRF-TOKEN=abc; Path=/', 'https://launch.openverse.network/');
+  return jar;
+}
+
+async function writeSession(sessionDir, session) {
+  await fs.mkdir(sessionDir, { recursive: true });
+  await fs.writeFile(path.join(sessionDir, `${ADDRESS.toLowerCase()}.json`), JSON.stringify({ address: ADDRESS, cookies: createJar().serializeSync(), ...session }));
+}
+
+test('sessions are saved readable only by the owner and load with their cookies', async () => {
+  const sessionDir = path.join(dir, 'saved');
+  await saveSession(sessionDir, ADDRESS, { accessToken: 'opaque-token', jar: createJar() });
+
+  assert.equal((await fs.stat(sessionDir)).mode & 0o777, 0o700);
+  const file = path.join(sessionDir, `${ADDRESS.toLowerCase()}.json`);
+  assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+
+  const session = await loadSession(sessionDir, ADDRESS.toLowerCase());
+  assert.equal(session.accessToken, 'opaque-token');
+  assert.equal(session.address, ADDRESS);
+  assert.equal(session.jar.getCookiesSync('https://launch.openverse.network/')[0].value, 'abc');
+});
+
+test('a session expires at the JWT exp claim', async () => {
+  const sessionDir = path.join(dir, 'jwt');
+  await writeSession(sessionDir, { accessToken: jwt({ exp: Math.floor((Date.now() + DAY) / 1000) }), savedAt: Date.now() - 30 * DAY });
+  assert.ok(await loadSession(sessionDir, ADDRESS), 'exp in the future wins over an old savedAt');
+
+  await writeSession(sessionDir, { accessToken: jwt({ exp: Math.floor((Date.now() - 1000) / 1000) }), savedAt: Date.now() });
+  assert.equal(await loadSession(sessionDir, ADDRESS), null);
+  await assert.rejects(fs.access(path.join(sessionDir, `${ADDRESS.toLowerCase()}.json`)), { code: 'ENOENT' });
+});
+
+test('a session without an exp claim expires seven days after it was saved', async () => {
+  const sessionDir = path.join(dir, 'opaque');
+  await writeSession(sessionDir, { accessToken: 'opaque-token', savedAt: Date.now() - 6 * DAY });
+  assert.ok(await loadSession(sessionDir, ADDRESS));
+
+  await writeSession(sessionDir, { accessToken: 'opaque-token', savedAt: Date.now() - 7 * DAY - 1000 });
+  assert.equal(await loadSession(sessionDir, ADDRESS), null);
+  await assert.rejects(fs.access(path.join(sessionDir, `${ADDRESS.toLowerCase()}.json`)), { code: 'ENOENT' });
+});
+
+test('a missing or unreadable session file means logging in', async () => {
+  const sessionDir = path.join(dir, 'broken');
+  assert.equal(await loadSession(sessionDir, ADDRESS), null);
+  await fs.mkdir(sessionDir, { recursive: true });
+  await fs.writeFile(path.join(sessionDir, `${ADDRESS.toLowerCase()}.json`), '{"accessToken":');
+  assert.equal(await loadSession(sessionDir, ADDRESS), null);
+});
@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createMockServer } from '../mock/server.js';
+import { createMockSigner } from '../mock/signer.js';
+import { logger, resolveConfig, OpenverseClient, SignerError, processAccount } from '../index.js';
+import { parseIndexRange, deriveMnemonicWallets, createRemoteSigner, listRemoteAccounts } from '../src/signers.js';
+import { readAccounts } from '../src/keys.js';
+
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const DEV_ADDRESSES = [
+  '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+  '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC'
+];
+
+let dir;
+
+before(async () => {
+  logger.sinks = [];
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openverse-signers-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('parseIndexRange reads single indices, ranges and lists', () => {
+  assert.deepEqual(parseIndexRange('0-3'), [0, 1, 2, 3]);
+  assert.deepEqual(parseIndexRange('7'), [7]);
+  assert.deepEqual(parseIndexRange(' 0-1, 5,1 '), [0, 1, 5]);
+  assert.throws(() => parseIndexRange('3-1'), /not a valid index range: 3-1/);
+  assert.throws(() => parseIndexRange('a'), /not a valid index range/);
+  assert.throws(() => parseIndexRange(''), /is empty/);
+  assert.equal(parseIndexRange('0-9999').length, 10000);
+  assert.throws(() => parseIndexRange('0-99999999'), /selects more than 10000 indices: 0-99999999/);
+  assert.throws(() => parseIndexRange('0-9999,20000'), /selects more than 10000 indices/);
+});
+
+test('deriveMnemonicWallets follows the standard Ethereum derivation path', () => {
+  const derived = deriveMnemonicWallets(MNEMONIC, { range: '0-2' });
+  assert.deepEqual(derived.map(({ index, path: childPath, wallet }) => [index, childPath, wallet.address]), [
+    [0, "m/44'/60'/0'/0/0", DEV_ADDRESSES[0]],
+    [1, "m/44'/60'/0'/0/1", DEV_ADDRESSES[1]],
+    [2, "m/44'/60'/0'/0/2", DEV_ADDRESSES[2]]
+  ]);
+  const [other] = deriveMnemonicWallets(MNEMONIC, { path: "m/44'/60'/1'/0", range: '0' });
+  assert.notEqual(other.wallet.address, DEV_ADDRESSES[0]);
+});
+
+test('a remote signer signs through personal_sign and reports refusals as SignerError', async () => {
+  const signer = createMockSigner();
+  await signer.listen();
+  try {
+    assert.deepEqual(await listRemoteAccounts(signer.url), DEV_ADDRESSES.slice(0, 2));
+
+    const remote = createRemoteSigner(signer.url, DEV_ADDRESSES[1].toLowerCase());
+    assert.equal(await remote.getAddress(), DEV_ADDRESSES[1]);
+    const [local] = deriveMnemonicWallets(MNEMONIC, { range: '1' });
+    assert.equal(await remote.signMessage('Sign-in'), await local.wallet.signMessage('Sign-in'));
+    assert.deepEqual(signer.requests.at(-1), { method: 'personal_sign', params: ['0x5369676e2d696e', DEV_ADDRESSES[1]] });
+
+    signer.lock();
+    await assert.rejects(remote.signMessage('Sign-in'), error => error instanceof SignerError &&
+      error.kind === 'signer' && error.resMsg === 'Signer is locked' && /personal_sign failed: Signer is locked/.test(error.message));
+    await assert.rejects(createRemoteSigner(signer.url, DEV_ADDRESSES[2]).signMessage('Sign-in'), /Unknown account/);
+  } finally {
+    await signer.close();
+  }
+  await assert.rejects(createRemoteSigner(signer.url, DEV_ADDRESSES[0], { retries: 1 }).signMessage('Sign-in'), error => error instanceof SignerError && error.status === null);
+});
+
+test('accounts from a mnemonic range and a remote signer log in without local keys', async () => {
+  const mock = createMockServer();
+  const signer = createMockSigner();
+  await mock.listen();
+  await signer.listen();
+  try {
+    const accountsFile = path.join(dir, 'accounts.yaml');
+    await fs.writeFile(accountsFile, [
+      `- mnemonic: "${MNEMONIC}"`,
+      '  range: 0-1',
+      '  label: seed',
+      `- remoteSigner: ${signer.url}`,
+      '  label: remote',
+      `- remoteSigner: ${signer.url}`,
+      `  address: "${DEV_ADDRESSES[0]}"`,
+      '  label: pinned'
+    ].join('\n'));
+    const accounts = await readAccounts({ accountsFile });
+
+    assert.deepEqual(accounts.map(({ label, address, path: hdPath }) => [label, address, hdPath]), [
+      ['seed-0', DEV_ADDRESSES[0], "m/44'/60'/0'/0/0"],
+      ['seed-1', DEV_ADDRESSES[1], "m/44'/60'/0'/0/1"],
+      ['remote-0', DEV_ADDRESSES[0], undefined],
+      ['remote-1', DEV_ADDRESSES[1], undefined],
+      ['pinned', DEV_ADDRESSES[0], undefined]
+    ]);
+    assert.ok(accounts.slice(2).every(account => account.privateKey === null));
+
+    const session = await new OpenverseClient(accounts[3].signer, { baseUrl: mock.url }).login();
+    assert.equal(session.address, DEV_ADDRESSES[1]);
+
+    const config = resolveConfig({ baseUrl: mock.url, ipCheckUrl: null, sessionDir: dir, reportDir: null, taskDelay: 0 });
+    const report = await processAccount({ ...accounts[4], index: 4, total: 5 }, { config });
+    assert.equal(report.error, null);
+    assert.equal(report.address, DEV_ADDRESSES[0]);
+    assert.equal(report.pointsAfter, 35);
+
+    signer.lock();
+    const locked = await processAccount({ ...accounts[3], index: 3, total: 5 }, { config });
+    assert.match(locked.error, /Signer is locked/);
+    assert.deepEqual(locked.failures.map(({ step, type }) => [step, type]), [['login', 'SignerError']]);
+  } finally {
+    await signer.close();
+    await mock.close();
+  }
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTaskFilter, selectTasks } from '../src/tasks.js';
+import { createTaskRegistry } from '../src/providers.js';
+
+const tasks = [
+  { id: 'UV_DAILY_CHECKIN_000001', title: 'Daily Check-in', category: 'UserVisit', points: 10 },
+  { id: 'UV_VISIT_WEBSITE_000002', title: 'Visit Openverse Website', category: 'UserVisit', points: 5 },
+  { id: 'AV_FOLLOW_X_000003', title: 'Follow Openverse on X', category: 'AdvanceVisit', points: 20 },
+  { id: 'AV_JOIN_TG_000004', title: 'Join Telegram', category: 'AdvanceVisit', points: 10 }
+];
+const ids = list => list.map(task => task.id.slice(-1));
+
+test('without a filter every task runs in API order', () => {
+  const { selected, skipped } = selectTasks(tasks, null, 'default');
+  assert.deepEqual(ids(selected), ['1', '2', '3', '4']);
+  assert.equal(skipped.length, 0);
+});
+
+test('include, exclude and minPoints combine', () => {
+  const filter = {
+    include: [{ category: 'AdvanceVisit' }, { code: 'UV_DAILY_*' }],
+    exclude: [{ title: 'telegram' }],
+    minPoints: 10
+  };
+  const { selected, skipped } = selectTasks(tasks, filter, 'default');
+  assert.deepEqual(ids(selected), ['1', '3']);
+  assert.deepEqual(ids(skipped), ['2', '4']);
+});
+
+test('rule fields must all match', () => {
+  const filter = compileTaskFilter({ exclude: [{ category: 'UserVisit', minPoints: 10 }] });
+  assert.deepEqual(ids(tasks.filter(filter)), ['2', '3', '4']);
+});
+
+test('points ordering is stable for equal rewards', () => {
+  assert.deepEqual(ids(selectTasks(tasks, null, 'points-desc').selected), ['3', '1', '4', '2']);
+  assert.deepEqual(ids(selectTasks(tasks, null, 'points-asc').selected), ['2', '1', '4', '3']);
+});
+
+test('invalid filters are rejected', () => {
+  assert.throws(() => compileTaskFilter({ include: [{ points: 5 }] }), /unknown keys: points/);
+  assert.throws(() => compileTaskFilter({ exclude: [{ category: 5 }] }), /category must be a category name/);
+  assert.throws(() => compileTaskFilter({ exclude: [{ title: '(' }] }), /not a valid pattern/);
+  assert.throws(() => selectTasks(tasks, null, 'random'), /taskOrder/);
+});
+
+test('rule categories are checked against the registered providers', () => {
+  const registry = createTaskRegistry();
+  assert.throws(() => compileTaskFilter({ include: [{ category: 'UserVist' }] }, 'taskFilter', registry.categories()),
+    /taskFilter.include\[0\].category must be one of UserVisit, AdvanceVisit/);
+  assert.throws(() => compileTaskFilter({ exclude: [{ category: ['UserVisit', 'Daily'] }] }, 'taskFilter', registry.categories()), /category must be one of/);
+
+  registry.register({ category: 'Quiz', listPath: '/api/task/quiz/all', donePath: '/api/task/quiz/done' });
+  const filter = compileTaskFilter({ include: [{ category: 'Quiz' }] }, 'taskFilter', registry.categories());
+  assert.equal(filter({ id: 'Q_1', category: 'Quiz', points: 1 }), true);
+});